@@ -0,0 +1,85 @@
+const fs = require('fs');
+
+// ─── Structured data plan ─────────────────────────────────────────────────────
+// Sent with every call so VAPI extracts these fields after the call ends; they
+// come back in analysis.structuredData on the end-of-call report.
+const STRUCTURED_DATA_PLAN = {
+  enabled: true,
+  schema: {
+    type: 'object',
+    properties: {
+      intent: {
+        type: 'string',
+        enum: ['interested', 'wants-callback', 'maybe', 'not-interested', 'do-not-call', 'wrong-number', 'unclear'],
+        description: 'The homeowner\'s overall stance on selling to us by the end of the call.',
+      },
+      timeline:        { type: 'string', description: 'When they would consider selling, in their words (e.g. "next month", "within a year"). Empty if not discussed.' },
+      motivation:      { type: 'string', description: 'Why they might sell (relocation, repairs, inheritance, ...). Empty if not discussed.' },
+      appointmentTime: { type: 'string', description: 'ISO 8601 date-time of any appointment or callback they agreed to. Empty if none.' },
+      askingPrice:     { type: 'number', description: 'Price they mentioned wanting, in dollars. Omit if not mentioned.' },
+    },
+  },
+};
+
+// ─── Outcome rules ────────────────────────────────────────────────────────────
+// The first rule whose `when` matches decides the outcome. Each `when` key is a
+// structuredData field, matched against a value, a list of values, or
+// { exists: true|false }. Override with a JSON file at OUTCOME_RULES_FILE.
+const DEFAULT_RULES = [
+  { when: { intent: ['do-not-call', 'not-interested', 'wrong-number'] }, outcome: 'not-interested' },
+  { when: { appointmentTime: { exists: true } },                         outcome: 'hot' },
+  { when: { intent: 'interested' },                                      outcome: 'hot' },
+  { when: { intent: ['wants-callback', 'maybe'] },                       outcome: 'warm' },
+];
+
+function loadRules(file = process.env.OUTCOME_RULES_FILE) {
+  if (!file) return DEFAULT_RULES;
+  try {
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rules) || rules.some(r => !r.when || !r.outcome)) throw new Error('expected [{ when, outcome }, ...]');
+    return rules;
+  } catch (e) {
+    console.log(`  ✗ Ignoring OUTCOME_RULES_FILE (${e.message}) — using default rules`);
+    return DEFAULT_RULES;
+  }
+}
+
+const isBlank = v => v === undefined || v === null || (typeof v === 'string' && !v.trim());
+
+function matches(value, cond) {
+  if (cond && typeof cond === 'object' && !Array.isArray(cond) && 'exists' in cond) return isBlank(value) !== cond.exists;
+  const norm = v => (typeof v === 'string' ? v.trim().toLowerCase() : v);
+  return (Array.isArray(cond) ? cond : [cond]).some(c => norm(c) === norm(value));
+}
+
+function applyRules(data, rules) {
+  return rules.find(r => Object.entries(r.when).every(([field, cond]) => matches(data[field], cond)))?.outcome || null;
+}
+
+// ─── Classification ───────────────────────────────────────────────────────────
+function structuredDataOf(call) {
+  const data = call.analysis?.structuredData;
+  return data && typeof data === 'object' && Object.keys(data).length ? data : null;
+}
+
+// Only used when a call carries no structured data (older assistants, or VAPI
+// failed to extract it). Negative phrases are checked first so "not
+// interested" can't read as interested.
+function classifySummary(summary) {
+  if (['not interested', 'no interest', "isn't interested", "wasn't interested", 'not selling', "don't call", 'do not call', 'declined'].some(w => summary.includes(w))) return 'not-interested';
+  if (['book', 'schedul', 'appoint', 'interested', 'call back', 'set up', 'yes'].some(w => summary.includes(w))) return 'hot';
+  if (['maybe', 'follow', 'later', 'think about', 'consider', 'down the road'].some(w => summary.includes(w))) return 'warm';
+  return 'completed';
+}
+
+function classifyOutcome(call, rules = DEFAULT_RULES) {
+  const reason = (call.endedReason || '').toLowerCase();
+  if (['customer-did-not-answer', 'no-answer', 'voicemail'].some(r => reason.includes(r))) return 'no-answer';
+  if (['do-not-call', 'rejected'].some(r => reason.includes(r))) return 'not-interested';
+  if (reason.includes('hang-up') && !call.startedAt) return 'not-interested';
+  const data = structuredDataOf(call);
+  if (data) return applyRules(data, rules) || 'completed';
+  return classifySummary((call.analysis?.summary || '').toLowerCase());
+}
+
+module.exports = { STRUCTURED_DATA_PLAN, DEFAULT_RULES, loadRules, classifyOutcome, structuredDataOf };
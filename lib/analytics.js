@@ -0,0 +1,185 @@
+const { localParts } = require('./hours');
+
+// ─── Campaign analytics ───────────────────────────────────────────────────────
+// Rolls jobs up into the numbers that show which lists and calling times turn
+// into appointments. A call "connects" when someone picked up and talked: it
+// lasted some seconds and ended in anything but no-answer. Hours and weekdays
+// are the lead's local time — when their phone actually rang.
+//
+// Totals and campaigns count leads (hot = leads whose latest outcome is hot);
+// the hour, weekday and attempt breakdowns count calls and texts. Rates are
+// percentages with one decimal, null when there's nothing to divide by.
+const CONNECTED = ['hot', 'warm', 'completed', 'not-interested'];
+const WEEKDAYS  = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const rate    = (n, of) => (of ? Math.round((n / of) * 1000) / 10 : null);
+const seconds = duration => parseInt(duration) || 0; // "45s" → 45
+
+const counter = () => ({
+  leads: 0, contacted: 0, texted: 0, replied: 0, hot: 0, warm: 0, appointments: 0,
+  calls: 0, connected: 0, talkSeconds: 0, texts: 0, replies: 0, outcomes: {},
+});
+
+// Dialed calls only — a dial that errored never rang
+function callsOf(r) {
+  if (r.attempts?.length) return r.attempts.filter(a => a.channel !== 'sms' && a.callId);
+  return r.callId ? [{ attempt: 1, callId: r.callId, outcome: r.outcome, duration: r.duration }] : [];
+}
+
+// A text blast's message plus any follow-up texts from the retry policy
+function textsOf(r) {
+  const texts = r.sentAt ? [{ at: r.sentAt, replied: !!r.replied }] : [];
+  for (const a of r.attempts || []) {
+    if (a.channel === 'sms' && a.outcome === 'sent') texts.push({ at: a.dialedAt, attempt: a.attempt, replied: !!r.repliedAt && r.repliedAt >= a.dialedAt });
+  }
+  return texts;
+}
+
+function countCall(c, call, booked = false) {
+  c.calls++;
+  if (call.outcome) c.outcomes[call.outcome] = (c.outcomes[call.outcome] || 0) + 1;
+  if (CONNECTED.includes(call.outcome) && seconds(call.duration) > 0) {
+    c.connected++;
+    c.talkSeconds += seconds(call.duration);
+  }
+  if (booked) c.appointments++;
+}
+
+function countText(c, text) {
+  c.texts++;
+  if (text.replied) c.replies++;
+}
+
+const callStats = c => ({
+  calls:          c.calls,
+  connected:      c.connected,
+  connectRate:    rate(c.connected, c.calls),
+  avgCallSeconds: c.connected ? Math.round(c.talkSeconds / c.connected) : null,
+});
+
+// One hour, weekday or attempt number
+const slot = c => ({
+  ...callStats(c),
+  hot:             c.outcomes.hot || 0,
+  warm:            c.outcomes.warm || 0,
+  hotRate:         rate(c.outcomes.hot || 0, c.calls),
+  appointments:    c.appointments,
+  appointmentRate: rate(c.appointments, c.calls),
+  texts:           c.texts,
+  replies:         c.replies,
+  replyRate:       rate(c.replies, c.texts),
+  outcomes:        c.outcomes,
+});
+
+// The whole selection, or one campaign
+const totals = c => ({
+  leads:           c.leads,
+  contacted:       c.contacted,
+  hot:             c.hot,
+  warm:            c.warm,
+  hotRate:         rate(c.hot, c.contacted),
+  warmRate:        rate(c.warm, c.contacted),
+  appointments:    c.appointments,
+  appointmentRate: rate(c.appointments, c.contacted),
+  ...callStats(c),
+  texted:          c.texted,
+  replied:         c.replied,
+  replyRate:       rate(c.replied, c.texted),
+  outcomes:        c.outcomes,
+});
+
+// jobs: [[jobId, job]]; appointments: every stored appointment (only those
+// from the given jobs count). timeZone is for leads without one of their own.
+function analyze(jobs, appointments = [], { timeZone = 'America/Los_Angeles' } = {}) {
+  const bookedCalls = new Set(appointments.map(a => a.callId).filter(Boolean));
+  const bookedLeads = new Set(appointments.map(a => `${a.jobId}:${a.leadIndex}`));
+
+  const all       = counter();
+  const byHour    = Array.from({ length: 24 }, counter);
+  const byDay     = Array.from({ length: 7 }, counter);
+  const byAttempt = [];
+  const retry     = { retriedLeads: 0, connectedOnRetry: 0, hotOnRetry: 0, fallback: counter() };
+  const campaigns = [];
+
+  const slotsAt = (at, tz) => {
+    if (!at) return [];
+    const p = localParts(new Date(at), tz);
+    return [byHour[Math.floor(p.minutes / 60)], byDay[p.weekday]];
+  };
+
+  for (const [jobId, job] of jobs) {
+    const c = counter();
+    (job.results || []).forEach((r, i) => {
+      const tz    = r.timeZone || timeZone;
+      const calls = callsOf(r);
+      const texts = textsOf(r);
+      c.leads++;
+      if (calls.length || texts.length) c.contacted++;
+      if (texts.length) c.texted++;
+      if (r.replied) c.replied++;
+      if (r.outcome === 'hot') c.hot++;
+      if (r.outcome === 'warm') c.warm++;
+      if (bookedLeads.has(`${jobId}:${i}`)) c.appointments++;
+
+      for (const call of calls) {
+        const booked = bookedCalls.has(call.callId);
+        countCall(c, call); // the campaign counts booked leads, above
+        for (const s of [...slotsAt(call.dialedAt, tz), byAttempt[call.attempt - 1] ||= counter()]) countCall(s, call, booked);
+      }
+      for (const text of texts) {
+        for (const s of slotsAt(text.at, tz)) countText(s, text);
+        if (text.attempt) countText(retry.fallback, text);
+      }
+
+      if (calls.length > 1) retry.retriedLeads++;
+      const firstConnected = calls.find(a => CONNECTED.includes(a.outcome) && seconds(a.duration) > 0);
+      if (firstConnected?.attempt > 1) retry.connectedOnRetry++;
+      if (calls.find(a => a.outcome === 'hot')?.attempt > 1) retry.hotOnRetry++;
+    });
+
+    for (const k of ['leads', 'contacted', 'texted', 'replied', 'hot', 'warm', 'appointments', 'calls', 'connected', 'talkSeconds']) all[k] += c[k];
+    for (const [k, n] of Object.entries(c.outcomes)) all.outcomes[k] = (all.outcomes[k] || 0) + n;
+    campaigns.push({
+      jobId, mode: job.mode, status: job.status, createdAt: job.createdAt, launchedBy: job.launchedBy || null,
+      scheduleId: job.scheduleId || null, testMode: !!job.testMode, ...totals(c),
+    });
+  }
+
+  return {
+    totals:    { campaigns: campaigns.length, ...totals(all) },
+    byHour:    byHour.map((c, hour) => ({ hour, ...slot(c) })),
+    byDay:     byDay.map((c, i) => ({ day: WEEKDAYS[i], ...slot(c) })),
+    retries: {
+      byAttempt:        Array.from(byAttempt, (c, i) => ({ attempt: i + 1, ...slot(c || counter()) })),
+      retriedLeads:     retry.retriedLeads,
+      connectedOnRetry: retry.connectedOnRetry,
+      hotOnRetry:       retry.hotOnRetry,
+      smsFallback:      { sent: retry.fallback.texts, replied: retry.fallback.replies, replyRate: rate(retry.fallback.replies, retry.fallback.texts) },
+    },
+    campaigns: campaigns.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt))),
+  };
+}
+
+// ─── CSV export ───────────────────────────────────────────────────────────────
+// One flat table: the totals, then a row per campaign, hour, weekday and
+// attempt. Lead columns are blank on the time and attempt rows.
+const CSV_COLUMNS = [
+  ['Leads', 'leads'], ['Contacted', 'contacted'], ['Calls', 'calls'], ['Connected', 'connected'], ['Connect Rate %', 'connectRate'],
+  ['Avg Call (s)', 'avgCallSeconds'], ['Hot', 'hot'], ['Warm', 'warm'], ['Hot Rate %', 'hotRate'], ['Appointments', 'appointments'],
+  ['Appointment Rate %', 'appointmentRate'], ['Texts', 'texts'], ['Texted', 'texted'], ['Replies', 'replies'], ['Replied', 'replied'], ['Reply Rate %', 'replyRate'],
+];
+
+function toCSV(report) {
+  const cell = v => `"${String(v ?? '').replace(/"/g, '\'')}"`;
+  const row  = (section, label, data) => [section, label, ...CSV_COLUMNS.map(([, k]) => data[k])].map(cell).join(',');
+  return [
+    ['Breakdown', 'Group', ...CSV_COLUMNS.map(([h]) => h)].map(cell).join(','),
+    row('Total', `${report.totals.campaigns} campaigns`, report.totals),
+    ...report.campaigns.map(c => row('Campaign', `${String(c.createdAt).slice(0, 10)} ${c.mode}${c.testMode ? ' (test)' : ''} ${c.jobId.slice(0, 8)}`, c)),
+    ...report.byHour.map(h => row('Hour', `${String(h.hour).padStart(2, '0')}:00`, h)),
+    ...report.byDay.map(d => row('Weekday', d.day, d)),
+    ...report.retries.byAttempt.map(a => row('Attempt', a.attempt, a)),
+  ].join('\n');
+}
+
+module.exports = { analyze, toCSV };
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// ─── Accounts ─────────────────────────────────────────────────────────────────
+// admin — launches and controls campaigns, manages the DNC list, users and API
+//         tokens. agent — read-only: results, conversations and live progress.
+const ROLES = ['admin', 'agent'];
+
+// Passwords are scrypt-hashed with a per-user salt
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return { salt, passwordHash: crypto.scryptSync(String(password), salt, 64).toString('hex') };
+}
+
+function verifyPassword(password, user) {
+  if (!user?.salt || !user.passwordHash) return false;
+  const { passwordHash } = hashPassword(password, user.salt);
+  return crypto.timingSafeEqual(Buffer.from(passwordHash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+// ─── Tokens ───────────────────────────────────────────────────────────────────
+// Session cookies and API tokens are random strings; only their SHA-256 is
+// stored, so a copy of the database can't be replayed as a login.
+const newToken  = (prefix = '') => prefix + crypto.randomBytes(24).toString('base64url');
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+module.exports = { ROLES, hashPassword, verifyPassword, newToken, hashToken, parseCookies };
@@ -0,0 +1,68 @@
+const axios = require('axios');
+
+// ─── SMS auto-responder ───────────────────────────────────────────────────────
+// Drafts the agent's next text from the thread and the lead's property fields via
+// the OpenAI chat API (OPENAI_API_KEY, model AUTOREPLY_MODEL). The model must
+// answer with JSON; anything it isn't sure about is handed to a human. Names
+// come from the job's brand profile (lib/profiles.js).
+const ESCALATION = /\b(lawyer|attorney|sue|lawsuit|harass\w*|police|scam|fraud|report (you|this)|complain\w*|manager|supervisor|real person|human|who is this really)\b/i;
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// profile: the job's brand profile — asking for its owner by name counts too
+function needsHuman(text, profile = {}) {
+  const owner = profile.ownerName ? `|${escapeRegExp(profile.ownerName)}` : '';
+  const ask   = new RegExp(`\\bspeak (to|with) (the owner|someone|a person${owner})(?!\\w)`, 'i');
+  const m     = String(text || '').match(ESCALATION) || String(text || '').match(ask);
+  return m ? `mentioned "${m[0]}"` : null;
+}
+
+function systemPrompt({ lead, faqs, now, timeZone, profile = {} }) {
+  const { agentName = 'Sarah', brandName = 'Rad Realty', ownerName = 'Omar' } = profile;
+  const facts = [
+    lead.firstName && `First name: ${lead.firstName}`,
+    lead.streetName && `Property: ${lead.streetName}`,
+    lead.city && `City: ${lead.city}`,
+    lead.propertyValue && `Estimated value: ${lead.propertyValue}`,
+  ].filter(Boolean).join('\n') || 'Nothing beyond their phone number.';
+  return [
+    `You are ${agentName}, texting on behalf of ${ownerName} at ${brandName}, a local cash home buyer. Homeowners replied to a text asking if they'd consider selling.`,
+    `Write the next SMS: friendly, plain, under 300 characters, no emojis beyond one, never pushy. Never invent offer amounts, fees or facts not given below — if asked for a number, say ${ownerName} will go over it on a quick call.`,
+    `Goal: answer their question and, if they seem open, get a time for a short call with ${ownerName}. Appointments must be a specific date and time they agreed to.`,
+    `What we know about the lead:\n${facts}`,
+    faqs ? `Approved answers to common questions:\n${faqs}` : '',
+    `It is now ${now} in the lead's time zone (${timeZone}).`,
+    `Respond with JSON only: {"reply": string, "confidence": number 0-1, "handoff": boolean, "reason": string, "appointmentTime": "YYYY-MM-DDTHH:MM" local time or ""}.`,
+    `Set handoff true (and reply "") if they are upset, ask something you can't answer from the above, want to negotiate, or anything legal or personal comes up.`,
+  ].filter(Boolean).join('\n\n');
+}
+
+// thread: [{direction:'out'|'in', body}] oldest first
+async function draftReply({ thread, lead, faqs, timeZone, profile }) {
+  if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not set');
+  const now = new Date().toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'short' });
+  const messages = [
+    { role: 'system', content: systemPrompt({ lead, faqs, now, timeZone, profile }) },
+    ...thread.slice(-20).map(m => ({ role: m.direction === 'out' ? 'assistant' : 'user', content: m.body })),
+  ];
+  const { data } = await axios.post('https://api.openai.com/v1/chat/completions', {
+    model:           process.env.AUTOREPLY_MODEL || 'gpt-4o-mini',
+    messages,
+    temperature:     0.4,
+    response_format: { type: 'json_object' },
+  }, {
+    headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+    timeout: 30000,
+  });
+
+  const out = JSON.parse(data.choices?.[0]?.message?.content || '{}');
+  return {
+    reply:           String(out.reply || '').trim(),
+    confidence:      Math.max(0, Math.min(1, Number(out.confidence) || 0)),
+    handoff:         !!out.handoff,
+    reason:          String(out.reason || ''),
+    appointmentTime: String(out.appointmentTime || '').trim(),
+  };
+}
+
+module.exports = { draftReply, needsHuman };
@@ -0,0 +1,111 @@
+// ─── Contact windows ──────────────────────────────────────────────────────────
+// A window is { weekday, saturday, sunday }, each either [startMin, endMin]
+// (minutes after local midnight) or null for "never on that day". Defaults come
+// from CONTACT_HOURS_WEEKDAY / _SATURDAY / _SUNDAY as "09:00-20:00" or "off".
+const DAYS = ['weekday', 'saturday', 'sunday'];
+const DEFAULTS = { weekday: '09:00-20:00', saturday: '10:00-17:00', sunday: 'off' };
+
+function parseRange(str) {
+  if (Array.isArray(str)) return str;
+  const m = String(str || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const start = parseInt(m[1]) * 60 + parseInt(m[2] || '0');
+  const end   = parseInt(m[3]) * 60 + parseInt(m[4] || '0');
+  return end > start && end <= 24 * 60 ? [start, end] : null;
+}
+
+function formatRange(range) {
+  if (!range) return 'off';
+  const hm = n => `${String(Math.floor(n / 60)).padStart(2, '0')}:${String(n % 60).padStart(2, '0')}`;
+  return `${hm(range[0])}-${hm(range[1])}`;
+}
+
+// false → no restriction (returns null); undefined → env defaults; an object
+// overrides individual days.
+function resolveWindow(input) {
+  if (input === false) return null;
+  const win = {};
+  for (const day of DAYS) {
+    const raw = input && input[day] !== undefined
+      ? input[day]
+      : process.env[`CONTACT_HOURS_${day.toUpperCase()}`] ?? DEFAULTS[day];
+    win[day] = parseRange(raw);
+  }
+  return win;
+}
+
+// ─── Time-zone arithmetic (Intl only, no tz database dependency) ──────────────
+function localParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    year: +parts.year, month: +parts.month, day: +parts.day,
+    minutes: +parts.hour * 60 + +parts.minute,
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const p = localParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, 0, p.minutes);
+  return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+// Local wall-clock time in `timeZone` → Date. Re-checks the offset once so a
+// DST switch between the guess and the answer doesn't shift us by an hour.
+function zonedToDate(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  let ts = guess - offsetMs(new Date(guess), timeZone);
+  ts = guess - offsetMs(new Date(ts), timeZone);
+  return new Date(ts);
+}
+
+function rangeFor(window, weekday) {
+  if (weekday === 0) return window.sunday;
+  if (weekday === 6) return window.saturday;
+  return window.weekday;
+}
+
+function isOpen(window, timeZone, at = new Date()) {
+  if (!window) return true;
+  const p = localParts(at, timeZone);
+  const range = rangeFor(window, p.weekday);
+  return !!range && p.minutes >= range[0] && p.minutes < range[1];
+}
+
+// Earliest moment at or after `from` that falls inside the window. Returns
+// `from` itself when the window is already open, null if it never opens.
+function nextOpening(window, timeZone, from = new Date()) {
+  if (isOpen(window, timeZone, from)) return from;
+  const today = localParts(from, timeZone);
+  for (let offset = 0; offset < 8; offset++) {
+    const noon  = new Date(Date.UTC(today.year, today.month - 1, today.day + offset, 12));
+    const range = rangeFor(window, (today.weekday + offset) % 7);
+    if (!range) continue;
+    const start = zonedToDate(noon.getUTCFullYear(), noon.getUTCMonth() + 1, noon.getUTCDate(), range[0], timeZone);
+    if (start > from) return start;
+  }
+  return null;
+}
+
+// "2026-03-04T15:30" with no offset is read as wall-clock time in `timeZone`;
+// strings with Z or an explicit offset are taken as-is. Returns null if unparseable.
+function parseLocalDateTime(str, timeZone) {
+  const s = String(str || '').trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(s)) {
+    const d = new Date(s);
+    return isNaN(d) ? null : d;
+  }
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})/);
+  if (!m) return null;
+  return zonedToDate(+m[1], +m[2], +m[3], +m[4] * 60 + +m[5], timeZone);
+}
+
+function describeWindow(window) {
+  if (!window) return 'any time';
+  return DAYS.map(d => `${d} ${formatRange(window[d])}`).join(', ');
+}
+
+module.exports = { resolveWindow, isOpen, nextOpening, describeWindow, localParts, parseLocalDateTime };
@@ -0,0 +1,49 @@
+// ─── iCalendar invites ────────────────────────────────────────────────────────
+// Minimal RFC 5545 VEVENT — enough for Gmail, Outlook and Apple Calendar to
+// show "Add to calendar". Times are written in UTC so no VTIMEZONE is needed.
+const stamp = d => new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = s => String(s || '')
+  .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets must be folded onto continuation lines
+function fold(line) {
+  const out = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let n = 74;
+    while (Buffer.byteLength(rest.slice(0, n)) > 74) n--;
+    out.push(rest.slice(0, n));
+    rest = ' ' + rest.slice(n);
+  }
+  out.push(rest);
+  return out.join('\r\n');
+}
+
+// Bump `sequence` when re-sending the same uid so calendars treat it as an update
+function buildInvite({ uid, start, minutes = 30, title, description, location, organizer, attendee, sequence = 0 }) {
+  const end = new Date(new Date(start).getTime() + minutes * 60 * 1000);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Rad Realty//Sarah AI Caller//EN',
+    'METHOD:REQUEST',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${stamp(Date.now())}`,
+    `DTSTART:${stamp(start)}`,
+    `DTEND:${stamp(end)}`,
+    `SUMMARY:${escapeText(title)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location    && `LOCATION:${escapeText(location)}`,
+    organizer   && `ORGANIZER:mailto:${organizer}`,
+    attendee    && `ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${attendee}`,
+    'STATUS:CONFIRMED',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean);
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildInvite };
@@ -0,0 +1,226 @@
+// ─── Lead list imports ────────────────────────────────────────────────────────
+// CSV, TSV, pasted tables, Excel workbooks and vCards all become the same
+// { cols, rows } table the mapping screen works with — rows are objects keyed
+// by column name, every value a trimmed string.
+class ImportError extends Error {}
+
+const FORMATS = {
+  csv: 'csv', txt: 'text', tsv: 'tsv', tab: 'tsv',
+  xlsx: 'xlsx', xlsm: 'xlsx',
+  vcf: 'vcf', vcard: 'vcf',
+};
+
+// Same hints the dashboard used to guess mappings in the browser
+const FIELD_HINTS = {
+  firstName:     ['firstname', 'first name', 'first', 'fname', 'given'],
+  lastName:      ['lastname', 'last name', 'last', 'lname', 'surname'],
+  phone:         ['phone', 'number', 'mobile', 'cell', 'tel', 'contact', 'telephone', 'direct', 'homephone', 'workphone'],
+  streetName:    ['street', 'address', 'addr', 'property'],
+  city:          ['city', 'town', 'location'],
+  propertyValue: ['value', 'price', 'worth', 'propertyvalue'],
+};
+
+const looksLikePhone = v => /^\+?\d[\d\s\-().]{6,}$/.test(String(v ?? '').trim());
+
+function guessMapping(cols) {
+  const norm = s => s.toLowerCase().replace(/[\s_-]/g, '');
+  const mapping = {};
+  for (const [field, hints] of Object.entries(FIELD_HINTS)) {
+    for (const hint of hints) {
+      const col = cols.find(c => norm(c).includes(norm(hint)));
+      if (col) { mapping[field] = col; break; }
+    }
+    mapping[field] = mapping[field] || null;
+  }
+  return mapping;
+}
+
+// Blank headers become "Column N"; repeats get " (2)", " (3)"…
+function headerNames(cells) {
+  const seen = {};
+  return cells.map((c, i) => {
+    const base = String(c ?? '').trim() || `Column ${i + 1}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] > 1 ? `${base} (${seen[base]})` : base;
+  });
+}
+
+// grid: array of cell arrays. A phone number in the first row means there is
+// no header row.
+function toTable(grid, emptyMessage = 'The file has no rows.') {
+  grid = grid.map(r => r.map(c => String(c ?? '').trim())).filter(r => r.some(Boolean));
+  if (!grid.length) throw new ImportError(emptyMessage);
+  const width = Math.max(...grid.map(r => r.length));
+
+  let cols, body;
+  if (grid[0].some(looksLikePhone)) {
+    const phoneAt = Math.max(0, grid[0].findIndex(looksLikePhone));
+    cols = Array.from({ length: width }, (_, i) => (i === phoneAt ? 'Phone' : `Column ${i + 1}`));
+    body = grid;
+  } else {
+    cols = headerNames([...grid[0], ...Array(width - grid[0].length).fill('')]);
+    body = grid.slice(1);
+  }
+  const rows = body.map(r => Object.fromEntries(cols.map((c, i) => [c, r[i] || ''])));
+  return { cols, rows, phoneOnly: cols.length === 1 && cols[0] === 'Phone' };
+}
+
+// ─── Delimited text ───────────────────────────────────────────────────────────
+function decode(buffer) {
+  const utf8 = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  return utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8; // Excel "CSV" is often Windows-1252
+}
+
+// The delimiter that splits the first lines most consistently; tab wins ties
+function sniffDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 5);
+  let best = ',', bestScore = 0;
+  for (const d of ['\t', ',', ';', '|']) {
+    const counts = lines.map(l => l.split(d).length - 1);
+    const score  = Math.min(...counts) > 0 ? Math.min(...counts) + (new Set(counts).size === 1 ? 100 : 0) : 0;
+    if (score > bestScore) { best = d; bestScore = score; }
+  }
+  return best;
+}
+
+// RFC 4180: quoted fields may hold delimiters, newlines and "" escapes
+function parseDelimited(text, delim) {
+  const grid = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (c === delim) {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); grid.push(row);
+      row = []; field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) { row.push(field); grid.push(row); }
+  return grid;
+}
+
+// ─── Excel ────────────────────────────────────────────────────────────────────
+function cellText(cell) {
+  const v = cell.value;
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  if (v && typeof v === 'object' && 'result' in v) return String(v.result ?? '');
+  return String(cell.text ?? '');
+}
+
+// sheet: name (any case) or 1-based number; defaults to the first sheet with data
+async function readWorkbook(buffer, sheet) {
+  const ExcelJS  = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (e) {
+    throw new ImportError(`Couldn't read the workbook (${e.message}). Older .xls files need saving as .xlsx or CSV first.`);
+  }
+  const sheets = workbook.worksheets.map(ws => ({ name: ws.name, rows: ws.actualRowCount }));
+  const ws = sheet
+    ? workbook.worksheets.find(w => w.name.toLowerCase() === String(sheet).toLowerCase()) || workbook.worksheets[parseInt(sheet) - 1]
+    : workbook.worksheets.find(w => w.actualRowCount > 0) || workbook.worksheets[0];
+  if (!ws) throw new ImportError(sheet ? `No sheet named "${sheet}".` : 'The workbook has no sheets.');
+
+  const grid = [];
+  ws.eachRow({ includeEmpty: false }, row => {
+    const cells = [];
+    for (let c = 1; c <= ws.columnCount; c++) cells.push(cellText(row.getCell(c)));
+    grid.push(cells);
+  });
+  return { grid, sheets, sheet: ws.name };
+}
+
+// ─── vCard ────────────────────────────────────────────────────────────────────
+// vCard 2.1–4.0: folded lines, item1.TEL groups, TYPE params with or without
+// "TYPE=", and 2.1's quoted-printable values. Mobile numbers are preferred.
+const VCARD_COLS = ['First Name', 'Last Name', 'Phone', 'Phone Type', 'Other Phones', 'Email', 'Street', 'City', 'State', 'Zip', 'Company', 'Notes'];
+
+const unescapeVCard = s => s.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+const splitVCard    = s => s.split(/(?<!\\);/).map(unescapeVCard);
+const decodeQP      = s => Buffer.from(s.replace(/=([0-9A-F]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16))), 'latin1').toString('utf8');
+
+function parseVCards(text) {
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const cards = [];
+  let card = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^BEGIN:VCARD/i.test(line)) { card = []; continue; }
+    if (/^END:VCARD/i.test(line)) { if (card) cards.push(card); card = null; continue; }
+    const colon = line.indexOf(':');
+    if (!card || colon < 0) continue;
+    const [name, ...params] = line.slice(0, colon).split(';');
+    const types = params.flatMap(p => p.replace(/^TYPE=/i, '').split(',')).map(t => t.toLowerCase());
+    let value = line.slice(colon + 1);
+    if (types.includes('encoding=quoted-printable')) {
+      while (value.endsWith('=') && i + 1 < lines.length) value = value.slice(0, -1) + lines[++i];
+      value = decodeQP(value);
+    }
+    card.push({ name: name.replace(/^[^.]+\./, '').toUpperCase(), types, value });
+  }
+  return cards.map(vcardRow);
+}
+
+function vcardRow(props) {
+  const get = name => props.find(p => p.name === name);
+  const [last = '', first = ''] = get('N') ? splitVCard(get('N').value) : [];
+  const fn  = get('FN') ? unescapeVCard(get('FN').value).split(/\s+/) : [];
+  const tels = props.filter(p => p.name === 'TEL').map(p => ({
+    number: p.value.replace(/^tel:/i, '').trim(),
+    type:   ['cell', 'mobile', 'iphone'].find(t => p.types.includes(t)) ? 'mobile'
+          : ['home', 'work', 'main', 'fax'].find(t => p.types.includes(t)) || '',
+    pref:   p.types.includes('pref') || p.types.some(t => t.startsWith('pref=')),
+  }));
+  const dialable = tels.filter(t => t.type !== 'fax');
+  const best = dialable.find(t => t.type === 'mobile') || dialable.find(t => t.pref) || dialable[0];
+  const [, , street = '', city = '', state = '', zip = ''] = get('ADR') ? splitVCard(get('ADR').value) : [];
+  return [
+    first || (fn.length > 1 ? fn.slice(0, -1).join(' ') : fn[0] || ''),
+    last || (fn.length > 1 ? fn[fn.length - 1] : ''),
+    best?.number || '',
+    best?.type || '',
+    tels.filter(t => t !== best).map(t => t.number).join(' / '),
+    get('EMAIL') ? unescapeVCard(get('EMAIL').value) : '',
+    street, city, state, zip,
+    get('ORG') ? splitVCard(get('ORG').value)[0] : '',
+    get('NOTE') ? unescapeVCard(get('NOTE').value) : '',
+  ];
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+// Returns { format, cols, rows, phoneOnly, mapping, sheets?, sheet? }
+async function parseImport(buffer, fileName = '', { sheet } = {}) {
+  const ext    = String(fileName).toLowerCase().split('.').pop();
+  const format = FORMATS[ext];
+  if (ext === 'xls') throw new ImportError('Older .xls workbooks aren\'t supported — save as .xlsx or CSV.');
+  if (!format) throw new ImportError(`Unsupported file type ".${ext}" — use CSV, TSV, XLSX or VCF.`);
+
+  let table, extra = {};
+  if (format === 'xlsx') {
+    const { grid, ...sheets } = await readWorkbook(buffer, sheet);
+    table = toTable(grid, `Sheet "${sheets.sheet}" is empty.`);
+    extra = sheets;
+  } else if (format === 'vcf') {
+    const grid = parseVCards(decode(buffer));
+    if (!grid.length) throw new ImportError('No contacts found in the vCard file.');
+    table = toTable([VCARD_COLS, ...grid]);
+  } else {
+    const text = decode(buffer);
+    table = toTable(parseDelimited(text, format === 'tsv' ? '\t' : sniffDelimiter(text)));
+  }
+  return { format, ...table, mapping: guessMapping(table.cols), ...extra };
+}
+
+module.exports = { parseImport, guessMapping, ImportError };
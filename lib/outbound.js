@@ -0,0 +1,57 @@
+const axios  = require('axios');
+const crypto = require('crypto');
+
+// ─── Outbound webhooks ────────────────────────────────────────────────────────
+// Tells a CRM (or Zapier, n8n…) what happened to a lead. Each delivery is a
+// JSON POST of { id, event, createdAt, data }, signed with the subscription's
+// secret:
+//   X-Sarah-Event:     the event name
+//   X-Sarah-Delivery:  delivery id — the same on every retry, for de-duplication
+//   X-Sarah-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// Receivers should recompute v1 over the raw body and reject stale timestamps.
+const EVENTS = ['call.ended', 'lead.outcome', 'sms.received', 'appointment.booked'];
+
+// Minutes before each retry; a delivery is given up after the last one
+const RETRY_MINUTES = String(process.env.OUTBOUND_RETRY_MINUTES || '1,5,30,120,720')
+  .split(',').map(Number).filter(n => Number.isFinite(n) && n >= 0);
+
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+// Ms until the next attempt after `attempts` failures, or null when out of retries
+function retryDelay(attempts) {
+  const minutes = RETRY_MINUTES[attempts - 1];
+  return minutes === undefined ? null : minutes * 60 * 1000;
+}
+
+// Network errors, timeouts, 408, 429 and 5xx are worth retrying; any other
+// non-2xx means the receiver turned the payload down.
+const retryable = status => !status || status === 408 || status === 429 || status >= 500;
+
+// One attempt → { ok, status, error, ms, retry }
+async function deliver(hook, delivery) {
+  const body    = JSON.stringify({ id: delivery.id, event: delivery.event, createdAt: delivery.createdAt, data: delivery.data });
+  const started = Date.now();
+  try {
+    const res = await axios.post(hook.url, body, {
+      headers: {
+        'Content-Type':      'application/json',
+        'User-Agent':        'SarahAICaller-Webhooks/1.0',
+        'X-Sarah-Event':     delivery.event,
+        'X-Sarah-Delivery':  delivery.id,
+        'X-Sarah-Signature': sign(hook.secret, body),
+      },
+      timeout:        15000,
+      maxRedirects:   0,
+      validateStatus: () => true,
+    });
+    const ok = res.status >= 200 && res.status < 300;
+    return { ok, status: res.status, error: ok ? null : `HTTP ${res.status}`, ms: Date.now() - started, retry: !ok && retryable(res.status) };
+  } catch (e) {
+    return { ok: false, status: null, error: e.message, ms: Date.now() - started, retry: true };
+  }
+}
+
+module.exports = { EVENTS, sign, deliver, retryDelay };
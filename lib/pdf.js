@@ -0,0 +1,213 @@
+const { guessMapping } = require('./imports');
+
+// ─── PDF lead lists ───────────────────────────────────────────────────────────
+// Lead PDFs come as tables (one owner per row), as labelled blocks ("Owner:",
+// "Address:") or as mailing-label style listings. pdf-parse keeps each text
+// line and we join its text runs with tabs — separately placed runs are
+// usually separate cells — which is enough to recover rows: every phone number
+// anchors a lead, and the owner name, street, city and value are taken from its
+// own line or the lines around it.
+const PDF_COLS = ['First Name', 'Last Name', 'Phone', 'Street', 'City', 'Value', 'Confidence'];
+
+const PHONE  = /(?<![\d$,.])(?:\+?1[\s.\-]?)?\(?\d{3}\)?[\s.\-]?\d{3}[\s.\-]?\d{4}(?!\d)/g;
+const STREET = /\b\d{1,6}[A-Z]?\s+(?:[NSEW]\.?\s+)?(?:[A-Za-z0-9'.\-]+\s+){0,4}?(?:St|Street|Ave|Avenue|Rd|Road|Dr|Drive|Ln|Lane|Ct|Court|Blvd|Boulevard|Way|Pl|Place|Cir|Circle|Ter|Terrace|Pkwy|Parkway|Hwy|Highway|Trl|Trail|Loop|Sq|Square|Pike|Path|Row|Run)\b\.?(?:\s+(?:#|Apt\.?|Unit|Ste\.?)\s*[\w\-]+)?/i;
+const CITY   = /^([A-Za-z][A-Za-z .'\-]*?),?\s+([A-Z]{2})(?:\s+\d{5}(?:-\d{4})?)?$/;
+const VALUE  = /\$\s?\d[\d,]*(?:\.\d+)?\s*[KkMm]?\b/;
+const NAME   = /^[A-Z][A-Za-z.'\-]*(?:,?\s+[A-Za-z&][A-Za-z.'\-]*){0,3},?\s+[A-Z][A-Za-z.'\-]*$/;
+const WORD   = /^[A-Z][A-Za-z.'\-]+$/;
+
+// Column headings and "Label:" prefixes, checked in this order
+const LABELS = [
+  ['phone',  /\b(phone|mobile|cell|tel|telephone)\b/i],
+  ['value',  /\b(value|price|worth|amount|equity)\b/i],
+  ['first',  /\bfirst\b/i],
+  ['last',   /\b(last|surname)\b/i],
+  ['city',   /\b(city|town)\b/i],
+  ['street', /\b(street|address|addr|property|site)\b/i],
+  ['name',   /\b(owner|name|seller|contact)\b/i],
+];
+const labelField = text => (LABELS.find(([, re]) => re.test(text)) || [])[0] || null;
+
+const titleCase = s => (s === s.toUpperCase() ? s.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase()) : s);
+
+// "SMITH, JOHN", "John A. Smith", "John & Mary Smith" → { first, last }
+function splitName(raw) {
+  const name = titleCase(raw.replace(/\s+/g, ' ').trim());
+  if (name.includes(',')) {
+    const [last, rest] = name.split(/\s*,\s*/);
+    return { first: (rest || '').split(' ')[0], last };
+  }
+  let words = name.split(' ');
+  if (words.length > 2) words = words.filter((w, i) => i === 0 || !/^[A-Z]\.?$/.test(w)); // middle initials
+  return { first: words[0], last: words.length > 1 ? words[words.length - 1] : '' };
+}
+
+// What one text cell holds: { name?, first?, last?, street?, city?, value? }
+function classify(cell, found = {}) {
+  const out = {};
+  let text = cell.trim();
+
+  const label = text.match(/^([A-Za-z .]{2,24}?)\s*[:\-]\s+(.+)$/);
+  const field = label && labelField(label[1]);
+  if (field) {
+    if (field === 'phone') return out;
+    if (field === 'name') Object.assign(out, splitName(label[2]));
+    else out[field] = label[2].trim();
+    return out;
+  }
+
+  const value = text.match(VALUE);
+  if (value) { out.value = value[0].replace(/\s+/g, ''); text = text.replace(value[0], ' ').trim(); }
+
+  const street = text.match(STREET);
+  if (street) {
+    out.street = street[0].trim();
+    const before = text.slice(0, street.index).replace(/[,\-–]\s*$/, '').trim();
+    const after  = text.slice(street.index + street[0].length).replace(/^[,\s]+/, '').trim();
+    if (before && NAME.test(before)) Object.assign(out, splitName(before));
+    if (after) out.city = (after.match(CITY) || [, after.split(',')[0]])[1].trim();
+    return out;
+  }
+  if (!text || text.includes('@')) return out;
+
+  const city = text.match(CITY);
+  if (city) out.city = city[1].trim();
+  else if (/^\d{1,6}[A-Z]?\s+[A-Za-z]/.test(text)) out.street = text;
+  else if (NAME.test(text)) {
+    if (found.first || found.street) out.city = text;
+    else Object.assign(out, splitName(text));
+  } else if (WORD.test(text)) out.word = titleCase(text);
+  return out;
+}
+
+// Folds cell results into a lead; stray single words make a first/last pair
+// when no name was found, or the city after a street.
+function merge(lead, parts) {
+  const words = [];
+  for (const p of parts) {
+    if (p.word) { words.push(p.word); continue; }
+    for (const k of ['first', 'last', 'street', 'city', 'value']) if (p[k] && !lead[k]) lead[k] = p[k];
+  }
+  if (!lead.first && words.length >= 2) { lead.first = words.shift(); lead.last = words.shift(); }
+  if (!lead.city && lead.street && words.length) lead.city = words.shift();
+  return lead;
+}
+
+const hasFields = lead => !!(lead.first || lead.street || lead.city || lead.value);
+
+function phonesIn(line) {
+  return (line.match(PHONE) || [])
+    .map(p => p.replace(/\D/g, ''))
+    .filter(d => d.length === 10 || (d.length === 11 && d[0] === '1'))
+    .map(d => d.slice(-10));
+}
+
+// A heading row: no phone numbers, at least two cells and a phone column
+function headerOf(cells) {
+  if (cells.length < 2 || cells.some(c => /\d/.test(c))) return null;
+  const fields = cells.map(labelField);
+  return fields.includes('phone') && fields.filter(Boolean).length >= 2 ? fields : null;
+}
+
+// ─── Row extraction ───────────────────────────────────────────────────────────
+// Returns { cols, rows, phoneOnly, mapping, phones, confidence } — rows fit the
+// CSV mapping screen; each carries Confidence: high (name and address on the
+// phone's own row or under a matching heading, or a full name/street/city
+// block around it), medium (a name or an address) or low (just the number).
+function extractLeads(text) {
+  const lines = String(text || '').split(/\r?\n/)
+    .map(l => l.split('\t').map(c => c.replace(/\s+/g, ' ').trim()).filter(Boolean));
+
+  let header = null;
+  const hits = [];
+  lines.forEach((cells, i) => {
+    const phones = phonesIn(cells.join('\t'));
+    if (!phones.length) {
+      const h = headerOf(cells);
+      if (h) { header = h; lines[i] = []; }
+      return;
+    }
+    hits.push({ i, phones, header: header && header.length === cells.length ? header : null });
+  });
+
+  // Fields missing from a phone's own line come from the lines just above or
+  // just below it — whichever side the document's leads consistently use.
+  const context = lines.map(cells => cells.map(c => classify(c)));
+  const fieldy  = i => context[i] && context[i].some(p => Object.keys(p).length) && !hits.some(h => h.i === i);
+  let before = 0, after = 0;
+  hits.forEach((h, n) => {
+    if (fieldy(h.i - 1) && (n === 0 || hits[n - 1].i < h.i - 1)) before++;
+    if (fieldy(h.i + 1) && (n === hits.length - 1 || hits[n + 1].i > h.i + 1)) after++;
+  });
+  const step = after > before ? 1 : -1;
+
+  const byPhone = new Map();
+  hits.forEach((h, n) => {
+    const cells = lines[h.i].map(c => c.replace(PHONE, ' ').replace(/\s+/g, ' ').trim());
+    const lead  = {};
+    let tableRow = false;
+
+    if (h.header) {
+      h.header.forEach((field, c) => {
+        const v = cells[c];
+        if (!v || !field || field === 'phone') return;
+        if (field === 'name') { if (!lead.first) Object.assign(lead, splitName(v)); }
+        else if (!lead[field]) lead[field] = field === 'first' || field === 'last' ? titleCase(v) : v;
+      });
+      tableRow = true;
+    } else {
+      const parts = [];
+      for (const c of cells.filter(Boolean)) parts.push(classify(c, Object.assign({}, ...parts)));
+      merge(lead, parts);
+      tableRow = !!lead.first && !!(lead.street || lead.city);
+    }
+
+    let nearby = false;
+    const stop = step > 0 ? (hits[n + 1] ? hits[n + 1].i : lines.length) : (hits[n - 1] ? hits[n - 1].i : -1);
+    for (let j = h.i + step, k = 0; j !== stop && k < 4; j += step, k++) {
+      if (!lines[j].length) continue;
+      const parts = context[j];
+      if (parts.some(p => p.first) && lead.first) break; // the next lead's name
+      const had = { ...lead };
+      merge(lead, parts);
+      if (Object.keys(lead).some(key => lead[key] !== had[key])) nearby = true;
+    }
+
+    const confidence = (tableRow && lead.first) || (lead.first && lead.street && lead.city && !tableRow && nearby)
+      ? 'high'
+      : lead.first || lead.street ? 'medium' : 'low';
+    for (const digits of h.phones) {
+      const prev = byPhone.get(digits);
+      if (prev && Object.keys(prev.lead).length >= Object.keys(lead).length) continue;
+      byPhone.set(digits, { lead, confidence });
+    }
+  });
+
+  const phones = [...byPhone.keys()];
+  const rich   = [...byPhone.values()].some(r => hasFields(r.lead));
+  const rows   = [...byPhone].map(([digits, { lead, confidence }]) => rich
+    ? {
+        'First Name': lead.first || '', 'Last Name': lead.last || '', Phone: `+1${digits}`,
+        Street: lead.street || '', City: lead.city || '', Value: lead.value || '', Confidence: confidence,
+      }
+    : { Phone: `+1${digits}` });
+  const cols = rich ? PDF_COLS : ['Phone'];
+
+  const confidence = { high: 0, medium: 0, low: 0 };
+  if (rich) rows.forEach(r => confidence[r.Confidence]++);
+  return { cols, rows, phoneOnly: !rich, mapping: guessMapping(cols), phones, confidence };
+}
+
+// ─── Reading ──────────────────────────────────────────────────────────────────
+async function readPdf(buffer) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { text, total } = await parser.getText({ pageJoiner: '', itemJoiner: '\t' });
+    return { text, pages: total };
+  } finally {
+    await parser.destroy();
+  }
+}
+
+module.exports = { readPdf, extractLeads };
@@ -0,0 +1,99 @@
+const fs = require('fs');
+
+// ─── NANP validation ──────────────────────────────────────────────────────────
+// US/Canada numbers are NPA-NXX-XXXX: area code and exchange both start 2-9
+// and can't be N11. Toll-free and non-geographic area codes can't take our
+// calls or texts, and 555-01XX is reserved for fiction.
+const TOLL_FREE      = new Set(['800', '833', '844', '855', '866', '877', '888']);
+const NON_GEOGRAPHIC = new Set(['500', '521', '522', '523', '524', '525', '526', '527', '528', '529', '530', '531', '532', '533', '544', '566', '577', '588', '600', '622', '700', '710', '900']);
+
+const REASONS = {
+  'empty':          'No phone number',
+  'not-nanp':       'Not a US/Canada number',
+  'too-short':      'Too few digits',
+  'too-long':       'Too many digits',
+  'bad-area-code':  'Invalid area code',
+  'toll-free':      'Toll-free number',
+  'non-geographic': 'Non-geographic / premium number',
+  'bad-exchange':   'Invalid exchange',
+  'fictional':      'Reserved 555-01 test number',
+};
+
+// Returns { phone: '+1NXXNXXXXXX' } or { error: <REASONS key> }
+function normalizePhone(raw) {
+  const str = String(raw ?? '').replace(/\s*(?:x|ext\.?|extension|#)\s*\d{1,6}\s*$/i, ''); // drop "ext. 12"
+  let d = str.replace(/\D/g, '');
+  if (!d) return { error: 'empty' };
+  if (d.length === 11 && d[0] === '1') d = d.slice(1);
+  else if (/^\s*(\+|00)/.test(str)) return { error: 'not-nanp' };
+  if (d.length < 10) return { error: 'too-short' };
+  if (d.length > 10) return { error: 'too-long' };
+
+  const npa = d.slice(0, 3), nxx = d.slice(3, 6);
+  if (/^[01]/.test(npa) || npa.slice(1) === '11' || npa[1] === '9') return { error: 'bad-area-code' };
+  if (TOLL_FREE.has(npa))      return { error: 'toll-free' };
+  if (NON_GEOGRAPHIC.has(npa)) return { error: 'non-geographic' };
+  if (/^[01]/.test(nxx) || nxx.slice(1) === '11') return { error: 'bad-exchange' };
+  if (nxx === '555' && d.slice(6, 8) === '01') return { error: 'fictional' };
+  return { phone: `+1${d}` };
+}
+
+// ─── Line type ────────────────────────────────────────────────────────────────
+// Optional local number-plan CSV at NUMBER_PLAN_FILE: "prefix,type" per line,
+// where prefix is NPA-NXX (6 digits) or a thousands block (7 digits) and type
+// is mobile, landline or voip. Without it every number reads "unknown".
+const LINE_TYPES = { mobile: 'mobile', wireless: 'mobile', cell: 'mobile', landline: 'landline', wireline: 'landline', fixed: 'landline', voip: 'voip' };
+
+function loadNumberPlan(file = process.env.NUMBER_PLAN_FILE) {
+  const plan = new Map();
+  if (!file) return plan;
+  try {
+    for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+      const cells  = line.split(',').map(c => c.trim());
+      const type   = LINE_TYPES[String(cells[cells.length - 1]).toLowerCase()];
+      const prefix = cells.slice(0, -1).join('').replace(/\D/g, '');
+      if (type && (prefix.length === 6 || prefix.length === 7)) plan.set(prefix, type);
+    }
+    console.log(`  ✓ Number plan: ${plan.size} prefixes from ${file}`);
+  } catch (e) {
+    console.log(`  ✗ Ignoring NUMBER_PLAN_FILE (${e.message})`);
+  }
+  return plan;
+}
+
+function lineType(phone, plan) {
+  const d = String(phone).replace(/\D/g, '').slice(-10);
+  return plan.get(d.slice(0, 7)) || plan.get(d.slice(0, 6)) || 'unknown';
+}
+
+// ─── Lead list validation ─────────────────────────────────────────────────────
+// leads carry the raw `phone` and their 1-based source `row`. Returns the
+// valid, de-duplicated leads (phone normalized, lineType set) and a report for
+// the preview screen. The first row for a number wins.
+function validateLeads(leads, plan = new Map()) {
+  const seen   = new Map(); // phone → kept lead
+  const valid  = [];
+  const report = { total: leads.length, valid: 0, invalid: [], duplicates: [], reasons: {}, lineTypes: {} };
+
+  for (const lead of leads) {
+    const { phone, error } = normalizePhone(lead.phone);
+    if (error) {
+      report.invalid.push({ row: lead.row, phone: lead.phone, reason: error, label: REASONS[error] });
+      report.reasons[error] = (report.reasons[error] || 0) + 1;
+      continue;
+    }
+    if (seen.has(phone)) {
+      report.duplicates.push({ row: lead.row, phone, firstRow: seen.get(phone).row });
+      continue;
+    }
+    const type = lineType(phone, plan);
+    const kept = { ...lead, phone, lineType: type };
+    seen.set(phone, kept);
+    valid.push(kept);
+    report.lineTypes[type] = (report.lineTypes[type] || 0) + 1;
+  }
+  report.valid = valid.length;
+  return { leads: valid, report };
+}
+
+module.exports = { normalizePhone, loadNumberPlan, lineType, validateLeads, REASONS };
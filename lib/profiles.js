@@ -0,0 +1,103 @@
+const { renderTemplate, TemplateError } = require('./template');
+
+// ─── Brand profiles ───────────────────────────────────────────────────────────
+// Who a campaign calls and texts as: the assistant's name, the brokerage, the
+// person leads are handed to, the VAPI assistant and phone number, the Twilio
+// from-number, who gets alerts and reports, the default texts and the email
+// branding. Jobs launched without one use the environment's profile
+// (VAPI_ASSISTANT_ID, TWILIO_FROM, TWILIO_TO, EMAIL_TO, …), and any field a
+// stored profile leaves blank falls back to it.
+//
+// Every message template can use {agent}, {brand} and {owner} — see vars().
+const TEMPLATES = {
+  sms:          `Hi {name}! This is {agent} from {brand} 🏠 We buy homes in your area for cash — fast closings, no repairs needed. Would you be open to a quick chat? Just reply back!`,
+  probe:        `Hi {first_name|there}, this is {owner} from {brand} — I'll be giving you a quick call shortly!`,
+  fallback:     `Hi {name}, this is {agent} from {brand} — I tried calling about your property. Would you be open to a quick chat? Just reply here!`,
+  confirmation: `Hi {name}, this is {agent} from {brand} — you're all set for {when}. {owner} will reach out then. Reply here if anything changes!`,
+};
+
+const FIELDS = ['name', 'agentName', 'brandName', 'ownerName', 'assistantId', 'phoneNumberId', 'smsFrom'];
+const LISTS  = ['alertPhones', 'reportEmails', 'appointmentEmails'];
+
+class ProfileError extends Error {}
+
+const list = v => (Array.isArray(v) ? v : String(v || '').split(',')).map(s => String(s).trim()).filter(Boolean);
+
+function envProfile() {
+  return {
+    id:                'default',
+    name:              'Default',
+    agentName:         process.env.AGENT_NAME || 'Sarah',
+    brandName:         process.env.BRAND_NAME || 'Rad Realty',
+    ownerName:         process.env.OWNER_NAME || 'Omar',
+    assistantId:       process.env.VAPI_ASSISTANT_ID || null,
+    phoneNumberId:     process.env.VAPI_PHONE_NUMBER_ID || null,
+    smsFrom:           process.env.TWILIO_FROM || null,
+    alertPhones:       list(process.env.TWILIO_TO),
+    reportEmails:      list(process.env.EMAIL_TO),
+    appointmentEmails: list(process.env.APPOINTMENT_EMAIL_TO || process.env.EMAIL_TO),
+    templates:         { ...TEMPLATES, ...(process.env.APPOINTMENT_CONFIRM_SMS && { confirmation: process.env.APPOINTMENT_CONFIRM_SMS }) },
+    email:             { fromName: '', accentColor: '#d4a534', logo: '📞' },
+  };
+}
+
+// A stored profile with its blanks filled from the environment's
+function resolveProfile(stored) {
+  const base = envProfile();
+  if (!stored) return { ...base, email: { ...base.email, fromName: `${base.agentName} AI Caller` } };
+  const out = { ...base, id: stored.id };
+  for (const k of FIELDS) if (stored[k]) out[k] = stored[k];
+  for (const k of LISTS) if (stored[k]?.length) out[k] = stored[k];
+  for (const [k, v] of Object.entries(stored.templates || {})) if (v) out.templates[k] = v;
+  out.email = { ...base.email, ...Object.fromEntries(Object.entries(stored.email || {}).filter(([, v]) => v)) };
+  out.email.fromName = out.email.fromName || `${out.agentName} AI Caller`;
+  return out;
+}
+
+// Extra template variables for a profile's texts
+const vars = p => ({ agent: p.agentName, brand: p.brandName, owner: p.ownerName });
+
+// Request body → the fields to store (a patch when `existing` is given).
+// Throws ProfileError on anything malformed.
+function cleanProfile(body = {}, existing = null) {
+  const out = {};
+  for (const k of FIELDS) {
+    if (body[k] === undefined) continue;
+    out[k] = String(body[k] ?? '').trim().slice(0, 200);
+  }
+  if (existing ? out.name === '' : !out.name) throw new ProfileError('A profile needs a name.');
+  if (out.smsFrom && !/^\+\d{8,15}$/.test(out.smsFrom)) throw new ProfileError('smsFrom must be a number like +14245550123.');
+
+  for (const k of LISTS) {
+    if (body[k] === undefined) continue;
+    out[k] = list(body[k]);
+    const phones = k === 'alertPhones';
+    const bad = out[k].find(v => phones ? !/^\+\d{8,15}$/.test(v) : !/^[^@\s,]+@[^@\s,]+\.[^@\s,]+$/.test(v));
+    if (bad) throw new ProfileError(`${k}: "${bad}" is not a valid ${phones ? 'phone number like +14245550123' : 'email address'}.`);
+  }
+
+  if (body.templates !== undefined) {
+    out.templates = { ...existing?.templates };
+    for (const k of Object.keys(TEMPLATES)) {
+      if (body.templates?.[k] === undefined) continue;
+      const template = String(body.templates[k] || '').trim();
+      try {
+        renderTemplate(template);
+      } catch (err) {
+        if (err instanceof TemplateError) throw new ProfileError(`Template "${k}": ${err.message}`);
+        throw err;
+      }
+      out.templates[k] = template;
+    }
+  }
+
+  if (body.email !== undefined) {
+    const email = { ...existing?.email };
+    for (const k of ['fromName', 'accentColor', 'logo']) if (body.email?.[k] !== undefined) email[k] = String(body.email[k] || '').trim().slice(0, 100);
+    if (email.accentColor && !/^#[0-9a-f]{6}$/i.test(email.accentColor)) throw new ProfileError('email.accentColor must be a hex colour like #d4a534.');
+    out.email = email;
+  }
+  return out;
+}
+
+module.exports = { TEMPLATES, ProfileError, envProfile, resolveProfile, cleanProfile, vars };
@@ -0,0 +1,56 @@
+const axios = require('axios');
+
+// ─── Telephony providers ──────────────────────────────────────────────────────
+// Everything that dials or texts goes through one of these, so a job can run
+// against the real services or the simulator (lib/simulator.js).
+//
+// voice: { name, missing(profile) → first unset env var or null,
+//          startCall({ phone, name, variableValues, analysisPlan, assistantId, assistantOverrides, phoneNumberId }) → callId,
+//          getCall(callId) → VAPI-shaped call { id, status, endedReason, startedAt, endedAt, analysis, customer } }
+// sms:   { name, missing(), receiptDelayMs,
+//          send({ to, body, statusCallback, from, alert }) → { sid, status },
+//          fetch(sid) → { sid, status } }
+const firstMissing = keys => keys.find(k => !process.env[k]) || null;
+
+const vapi = {
+  name:    'vapi',
+  // A brand profile (lib/profiles.js) may bring its own assistant and number
+  missing: profile => firstMissing(['VAPI_API_KEY', ...(profile?.assistantId ? [] : ['VAPI_ASSISTANT_ID']), ...(profile?.phoneNumberId ? [] : ['VAPI_PHONE_NUMBER_ID'])]),
+
+  // assistantOverrides: extra overrides (an A/B variant's); ours win on clashes
+  async startCall({ phone, name, variableValues, analysisPlan, assistantId, assistantOverrides = {}, phoneNumberId }) {
+    const res = await axios.post('https://api.vapi.ai/call', {
+      assistantId:        assistantId || process.env.VAPI_ASSISTANT_ID,
+      assistantOverrides: { ...assistantOverrides, variableValues: { ...assistantOverrides.variableValues, ...variableValues }, analysisPlan },
+      customer:           { name, number: phone },
+      phoneNumberId:      phoneNumberId || process.env.VAPI_PHONE_NUMBER_ID,
+    }, {
+      headers: { Authorization: `Bearer ${process.env.VAPI_API_KEY}` },
+      timeout: 30000,
+    });
+    return res.data?.id;
+  },
+
+  async getCall(callId) {
+    const { data } = await axios.get(`https://api.vapi.ai/call/${callId}`, { headers: { Authorization: `Bearer ${process.env.VAPI_API_KEY}` }, timeout: 10000 });
+    return data;
+  },
+};
+
+const getTwilio = () => require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+const twilio = {
+  name:           'twilio',
+  missing:        () => firstMissing(['TWILIO_ACCOUNT_SID']),
+  receiptDelayMs: 12000,
+
+  async send({ to, body, statusCallback, from }) {
+    return getTwilio().messages.create({ from: from || process.env.TWILIO_FROM, to, body, ...(statusCallback && { statusCallback }) });
+  },
+
+  async fetch(sid) {
+    return getTwilio().messages(sid).fetch();
+  },
+};
+
+module.exports = { vapi, twilio };
@@ -0,0 +1,78 @@
+const axios = require('axios');
+
+// ─── Lead research ────────────────────────────────────────────────────────────
+// Looks a lead up before Sarah calls so she can open with something personal.
+// A provider is { name, configured(), research(lead, profile) } where research
+// resolves to a few sentences, or '' when nothing useful turned up. profile is
+// the job's brand profile (lib/profiles.js), whose brandName the prompt uses.
+//   perplexity — web search through the Perplexity API (PERPLEXITY_API_KEY)
+//   local      — a stand-in built from the lead's own fields, for testing
+// RESEARCH_PROVIDER picks one (perplexity when its key is set otherwise);
+// registerProvider() plugs in others.
+const MAX_LENGTH = 500;
+
+function prompt(lead, profile = {}) {
+  const facts = [
+    lead.firstName  && `First Name: ${lead.firstName}`,
+    lead.lastName   && `Last Name: ${lead.lastName}`,
+    lead.streetName && `Property: ${lead.streetName}`,
+    lead.city       && `City: ${lead.city}`,
+  ].filter(Boolean).join('\n');
+  return [
+    `# Research Task\nYou are a research assistant for ${profile.brandName || 'a real estate company'}, a local cash home buyer. Research this homeowner and find one personal detail for an outbound phone call about their property.`,
+    `Lead:\n${facts}`,
+    `# Output Rules\n- Look for public information: career, interests, community involvement, life events, or news about their street or neighborhood\n- Pick the single warmest detail suitable as a conversation opener\n- Write 2-4 sentences max\n- If nothing is found, or you can't be sure it's the same person, output exactly: no info\n- Do NOT include sensitive or speculative information (health, finances, family problems, legal matters)`,
+  ].join('\n\n');
+}
+
+// Quotes and newlines would break the assistant prompt the text is spliced into
+function clean(text) {
+  const out = String(text || '').replace(/"/g, '\'').replace(/\s*\n\s*/g, ' ').trim();
+  return /^no info\.?$/i.test(out) ? '' : out.slice(0, MAX_LENGTH);
+}
+
+const providers = {
+  perplexity: {
+    name:       'perplexity',
+    configured: () => !!process.env.PERPLEXITY_API_KEY,
+    async research(lead, profile) {
+      const { data } = await axios.post('https://api.perplexity.ai/chat/completions', {
+        model:    process.env.RESEARCH_MODEL || 'sonar',
+        messages: [{ role: 'user', content: prompt(lead, profile) }],
+      }, {
+        headers: { Authorization: `Bearer ${process.env.PERPLEXITY_API_KEY}` },
+        timeout: 45000,
+      });
+      return data.choices?.[0]?.message?.content || '';
+    },
+  },
+
+  local: {
+    name:       'local',
+    configured: () => true,
+    async research(lead) {
+      if (!lead.streetName && !lead.city) return 'no info';
+      const place = [lead.streetName, lead.city].filter(Boolean).join(' in ');
+      return `${lead.firstName || 'The owner'} owns ${place}${lead.propertyValue ? `, estimated at ${lead.propertyValue}` : ''}. Ask how long they've been there and what they like about the neighborhood.`;
+    },
+  },
+};
+
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.research !== 'function') throw new Error('A research provider needs a name and a research(lead, profile) function.');
+  providers[provider.name] = { configured: () => true, ...provider };
+}
+
+// The active provider, or null when research isn't set up
+function researchProvider() {
+  const name = process.env.RESEARCH_PROVIDER || (process.env.PERPLEXITY_API_KEY ? 'perplexity' : '');
+  const provider = providers[name.toLowerCase()];
+  return provider && provider.configured() ? provider : null;
+}
+
+async function researchLead(lead, provider = researchProvider(), profile = {}) {
+  if (!provider) throw new Error('Lead research is not configured');
+  return clean(await provider.research(lead, profile));
+}
+
+module.exports = { researchLead, researchProvider, registerProvider };
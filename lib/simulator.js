@@ -0,0 +1,175 @@
+const axios  = require('axios');
+const crypto = require('crypto');
+
+// ─── Telephony simulator ──────────────────────────────────────────────────────
+// Stands in for VAPI and Twilio on jobs launched in test mode; nothing leaves
+// the machine. Calls ring and end by themselves — answered, no answer,
+// voicemail or busy — and each ends with an end-of-call report posted to our
+// own /api/webhook/vapi, summary and structured data included. Texts are
+// "delivered" through /api/webhook/sms/status, and some leads text back via
+// /api/webhook/sms.
+//   SIM_CALL_SECONDS  real time a simulated call takes (default 6); reported
+//                     durations are realistic
+//   SIM_REPLY_RATE    share of texted leads who reply (default 0.3)
+// Outcomes that would touch the real Do-Not-Call list are never simulated.
+const CALL_ENDINGS = [['answered', 45], ['customer-did-not-answer', 30], ['voicemail', 15], ['customer-busy', 10]];
+const INTENTS      = [['interested', 20], ['wants-callback', 15], ['maybe', 20], ['not-interested', 40], ['wrong-number', 5]];
+const TIMELINES    = ['next month', 'in the spring', 'within a year', 'after the kids finish school'];
+const MOTIVATIONS  = ['relocating for work', 'too many repairs', 'inherited the house', 'downsizing'];
+const REPLIES      = [
+  ['Who is this?', 25], ['How did you get my number?', 10], ['Maybe, what would you offer?', 25],
+  ['Yes I would think about selling, give me a call', 15], ['Not interested, thanks', 20], ['Sorry, wrong number', 5],
+];
+const MAX_REPLIES = 2; // per number, so an auto-responder conversation winds down
+
+function pick(weighted) {
+  let r = Math.random() * weighted.reduce((n, [, w]) => n + w, 0);
+  for (const [value, w] of weighted) if ((r -= w) < 0) return value;
+  return weighted[weighted.length - 1][0];
+}
+const any   = list => list[Math.floor(Math.random() * list.length)];
+const later = (ms, fn) => setTimeout(fn, ms).unref();
+
+function conversation(intent, v) {
+  const name = v.first_name && v.first_name !== 'there' ? v.first_name : 'The homeowner';
+  const prop = v.property_address || 'their property';
+  const data = { intent, timeline: '', motivation: '' };
+  if (intent === 'interested') {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    Object.assign(data, { timeline: any(TIMELINES), motivation: any(MOTIVATIONS), appointmentTime: `${tomorrow}T14:00`, askingPrice: 250000 + Math.round(Math.random() * 40) * 10000 });
+    return { data, summary: `${name} is open to selling ${prop} (${data.motivation}) and agreed to talk with ${v.owner_name || 'Omar'} tomorrow.` };
+  }
+  if (intent === 'wants-callback') {
+    data.timeline = any(TIMELINES);
+    return { data, summary: `${name} was busy and asked for a call back; might sell ${data.timeline}.` };
+  }
+  if (intent === 'maybe') {
+    Object.assign(data, { timeline: any(TIMELINES), motivation: any(MOTIVATIONS) });
+    return { data, summary: `${name} might consider selling ${prop} ${data.timeline} and wants to think about it.` };
+  }
+  if (intent === 'wrong-number') return { data, summary: `Wrong number — the person who answered doesn't own ${prop}.` };
+  return { data, summary: `${name} is not interested in selling ${prop} right now.` };
+}
+
+// A short made-up exchange in VAPI's artifact shape, so transcripts and search
+// have something to work with
+const SAID = {
+  'relocating for work': "I'm relocating for work", 'too many repairs': 'The house needs too many repairs',
+  'inherited the house': 'We inherited the house from my mother', downsizing: "We're downsizing",
+};
+const LEAD_LINES = {
+  interested:       d => `Honestly, yes. ${SAID[d.motivation]} and I'd like to hear an offer. Tomorrow at two works.`,
+  'wants-callback': () => `I'm driving right now, can you call me back later?`,
+  maybe:            d => `Maybe. ${SAID[d.motivation]}, but I want to think about it.`,
+  'wrong-number':   () => `Sorry, I think you have the wrong number.`,
+  'not-interested': () => `No thanks, we're not interested in selling.`,
+};
+
+function artifact(intent, data, v) {
+  const lines = [
+    ['bot',  `Hi, is this ${v.first_name || 'the homeowner'}? This is ${v.agent_name || 'Sarah'} with ${v.brand_name || 'Rad Realty'}, calling about ${v.property_address || 'your property'}.`],
+    ['user', 'Yes, speaking.'],
+    ['bot',  'Have you given any thought to selling in the next year or so?'],
+    ['user', LEAD_LINES[intent](data)],
+    ['bot',  intent === 'interested' ? `Wonderful — ${v.owner_name || 'Omar'} will call you tomorrow at 2. Thanks so much!` : 'Thanks for your time, have a great day!'],
+  ];
+  const messages = lines.map(([role, message], i) => ({ role, message, secondsFromStart: i * 6 }));
+  return { messages, transcript: lines.map(([role, message]) => `${role === 'bot' ? 'AI' : 'User'}: ${message}`).join('\n') };
+}
+
+// baseUrl: where our own server listens; headers mark the posts as simulated
+function createSimulator({ baseUrl, headers = {} }) {
+  const calls    = new Map(); // callId → VAPI-shaped call
+  const messages = new Map(); // sid → { sid, to, body, status }
+  const replies  = new Map(); // phone → replies sent
+
+  async function post(path, body, form = false) {
+    try {
+      await axios.post(baseUrl + path, form ? new URLSearchParams(body).toString() : body, {
+        headers: { ...headers, 'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json' },
+        timeout: 10000,
+      });
+    } catch (e) {
+      console.log(`  ✗ Simulator post to ${path} failed: ${e.message}`);
+    }
+  }
+
+  function endCall(call) {
+    const ending = pick(CALL_ENDINGS);
+    const now    = Date.now();
+    call.status  = 'ended';
+    call.endedAt = new Date(now).toISOString();
+    if (ending === 'answered') {
+      const intent = pick(INTENTS);
+      const talk   = conversation(intent, call.variableValues);
+      call.startedAt   = new Date(now - (30 + Math.random() * 270) * 1000).toISOString();
+      call.endedReason = Math.random() < 0.5 ? 'customer-ended-call' : 'assistant-ended-call';
+      call.analysis    = { summary: talk.summary, structuredData: talk.data };
+      call.artifact    = artifact(intent, talk.data, call.variableValues);
+    } else {
+      if (ending === 'voicemail') call.startedAt = new Date(now - 25000).toISOString();
+      call.endedReason = ending;
+      call.analysis    = { summary: ending === 'voicemail' ? `Reached voicemail; ${call.variableValues.agent_name || 'Sarah'} left a short message.` : '' };
+    }
+    post('/api/webhook/vapi', { message: { type: 'end-of-call-report', call, analysis: call.analysis, artifact: call.artifact, endedReason: call.endedReason } });
+  }
+
+  const voice = {
+    name:    'simulator',
+    missing: () => null,
+
+    async startCall({ phone, name, variableValues = {} }) {
+      const id   = `sim-call-${crypto.randomUUID()}`;
+      const call = { id, status: 'queued', customer: { name, number: phone }, createdAt: new Date().toISOString(), variableValues, simulated: true };
+      calls.set(id, call);
+      const secs = parseFloat(process.env.SIM_CALL_SECONDS || '6');
+      later(300, () => { call.status = 'ringing'; });
+      later(secs * (0.5 + Math.random() / 2) * 1000, () => endCall(call));
+      return id;
+    },
+
+    async getCall(callId) {
+      const call = calls.get(callId);
+      if (!call) throw new Error('Simulated call not found (the server restarted since it was placed)');
+      return call;
+    },
+  };
+
+  function maybeReply(to) {
+    const rate = parseFloat(process.env.SIM_REPLY_RATE ?? '0.3');
+    if ((replies.get(to) || 0) >= MAX_REPLIES || Math.random() >= rate) return;
+    replies.set(to, (replies.get(to) || 0) + 1);
+    later(2000 + Math.random() * 4000, () => post('/api/webhook/sms', {
+      From: to, To: process.env.TWILIO_FROM || '', Body: pick(REPLIES), MessageSid: `SIM${crypto.randomBytes(12).toString('hex')}`,
+    }, true));
+  }
+
+  const sms = {
+    name:           'simulator',
+    missing:        () => null,
+    receiptDelayMs: 2000,
+
+    // alert: a text to our own team, which never replies
+    async send({ to, body, alert }) {
+      const msg = { sid: `SIM${crypto.randomBytes(12).toString('hex')}`, to, body, status: 'queued' };
+      messages.set(msg.sid, msg);
+      const status = s => { msg.status = s; post('/api/webhook/sms/status', { MessageSid: msg.sid, MessageStatus: s }, true); };
+      later(400, () => status('sent'));
+      later(1000, () => {
+        status(Math.random() < 0.05 ? 'undelivered' : 'delivered');
+        if (msg.status === 'delivered' && !alert) maybeReply(to);
+      });
+      return { sid: msg.sid, status: msg.status };
+    },
+
+    async fetch(sid) {
+      const msg = messages.get(sid);
+      if (!msg) throw new Error('Simulated message not found');
+      return msg;
+    },
+  };
+
+  return { voice, sms };
+}
+
+module.exports = { createSimulator };
@@ -0,0 +1,137 @@
+const fs   = require('fs');
+const path = require('path');
+
+// ─── Drivers ──────────────────────────────────────────────────────────────────
+// A driver persists plain JSON records grouped by collection. Pick one with
+// STORE_DRIVER: 'sqlite' (default, file at STORE_PATH) or 'memory' (nothing
+// survives a restart — handy for local testing).
+function sqliteDriver(file) {
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    key        TEXT NOT NULL,
+    value      TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (collection, key)
+  )`);
+
+  const selectAll = db.prepare('SELECT key, value FROM records WHERE collection = ?');
+  const upsert    = db.prepare(`INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`);
+  const remove    = db.prepare('DELETE FROM records WHERE collection = ? AND key = ?');
+  const clear     = db.prepare('DELETE FROM records WHERE collection = ?');
+  const writeMany = db.transaction(ops => ops.forEach(([c, k, v]) =>
+    v === undefined ? remove.run(c, k) : upsert.run(c, k, JSON.stringify(v), new Date().toISOString())
+  ));
+
+  return {
+    name:  'sqlite',
+    load:  collection => selectAll.all(collection).map(r => [r.key, JSON.parse(r.value)]),
+    write: ops => writeMany(ops),
+    clear: collection => clear.run(collection),
+    close: () => db.close(),
+  };
+}
+
+function memoryDriver() {
+  return { name: 'memory', load: () => [], write: () => {}, clear: () => {}, close: () => {} };
+}
+
+// ─── Write queue ──────────────────────────────────────────────────────────────
+// Mutations are coalesced per tick so a loop that touches the same job many
+// times only serializes it once.
+function createQueue(driver) {
+  const pending = new Map(); // `${collection}\0${key}` → [collection, key, getValue]
+  let scheduled = false;
+
+  function flush() {
+    scheduled = false;
+    if (!pending.size) return;
+    const ops = [...pending.values()].map(([c, k, get]) => [c, k, get()]);
+    pending.clear();
+    try { driver.write(ops); } catch (e) { console.log(`  ✗ Store write failed: ${e.message}`); }
+  }
+
+  function enqueue(collection, key, get) {
+    pending.set(`${collection}\0${key}`, [collection, key, get]);
+    if (!scheduled) { scheduled = true; setImmediate(flush); }
+  }
+
+  return { enqueue, flush };
+}
+
+// ─── Collections ──────────────────────────────────────────────────────────────
+// Drop-in replacements for Map/Set that write through to the driver. Objects
+// stored in a PersistentMap are mutated in place all over server.js, so call
+// save(key) after changing one.
+class PersistentMap extends Map {
+  constructor(store, name) {
+    super(store.driver.load(name));
+    this._store = store;
+    this._name  = name;
+  }
+  set(key, value) {
+    super.set(key, value);
+    if (this._store) this.save(key);
+    return this;
+  }
+  delete(key) {
+    const had = super.delete(key);
+    if (had) this._store.queue.enqueue(this._name, key, () => undefined);
+    return had;
+  }
+  clear() {
+    super.clear();
+    this._store.driver.clear(this._name);
+  }
+  save(key) {
+    if (!super.has(key)) return;
+    this._store.queue.enqueue(this._name, key, () => super.get(key));
+  }
+}
+
+class PersistentSet extends Set {
+  constructor(store, name) {
+    super(store.driver.load(name).map(([k]) => k));
+    this._store = store;
+    this._name  = name;
+  }
+  add(value) {
+    if (this._store && !super.has(value)) this._store.queue.enqueue(this._name, value, () => true);
+    return super.add(value);
+  }
+  delete(value) {
+    const had = super.delete(value);
+    if (had) this._store.queue.enqueue(this._name, value, () => undefined);
+    return had;
+  }
+  clear() {
+    super.clear();
+    this._store.driver.clear(this._name);
+  }
+}
+
+// ─── Open ─────────────────────────────────────────────────────────────────────
+function open(opts = {}) {
+  const kind = opts.driver || process.env.STORE_DRIVER || 'sqlite';
+  const file = opts.path   || process.env.STORE_PATH   || path.join(__dirname, '..', 'data', 'sarah.db');
+
+  let driver;
+  if (kind === 'memory') driver = memoryDriver();
+  else if (kind === 'sqlite') driver = sqliteDriver(file);
+  else throw new Error(`Unknown STORE_DRIVER "${kind}"`);
+
+  const store = { driver, queue: createQueue(driver) };
+  return {
+    driver: driver.name,
+    map:    name => new PersistentMap(store, name),
+    set:    name => new PersistentSet(store, name),
+    flush:  () => store.queue.flush(),
+    close:  () => { store.queue.flush(); driver.close(); },
+  };
+}
+
+module.exports = { open };
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+// ─── Message templates ────────────────────────────────────────────────────────
+//   {first_name}           lead field — snake_case or camelCase, any case
+//   {first_name|there}     field with a default when the lead has no value
+//   {Hi|Hello|Hey}         spintax — one variation per lead (nests)
+//   {#city}in {city}{/city}  only when the lead has a city; {^city}…{/city} when not
+// Spintax picks are seeded from the lead's phone, so a preview shows exactly
+// what each lead will get.
+const FIELDS = {
+  name:           l => l.firstName,
+  first_name:     l => l.firstName,
+  last_name:      l => l.lastName,
+  full_name:      l => [l.firstName, l.lastName].filter(Boolean).join(' '),
+  phone:          l => l.phone,
+  street_name:    l => l.streetName,
+  street:         l => l.streetName,
+  address:        l => l.streetName,
+  city:           l => l.city,
+  property_value: l => l.propertyValue,
+  time_zone:      l => l.timeZone,
+};
+// Older templates relied on {name} / {first_name} reading "there" when blank
+const DEFAULTS = { name: 'there', first_name: 'there' };
+
+class TemplateError extends Error {}
+
+const fieldKey = s => String(s).trim().replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+
+// Fields of the lead plus any extra vars (e.g. {when}) the caller passes in
+function lookup(lead, vars, name) {
+  const key = fieldKey(name);
+  if (key in vars) return { known: true, value: vars[key] };
+  if (!FIELDS[key]) return { known: false };
+  return { known: true, value: FIELDS[key](lead) };
+}
+
+const blank = v => v === undefined || v === null || !String(v).trim();
+
+// Tiny deterministic PRNG so spintax is stable per lead and template
+function seeded(seed) {
+  let n = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    n = (n + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(n ^ (n >>> 15), 1 | n);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Parses text and {a|b|…} groups into a tree; options are themselves node lists
+function parse(src) {
+  let i = 0;
+  function seq(stops) {
+    const nodes = [];
+    let text = '';
+    while (i < src.length && !stops.includes(src[i])) {
+      if (src[i] === '{') {
+        if (text) { nodes.push(text); text = ''; }
+        nodes.push(group());
+      } else {
+        text += src[i++]; // a stray "}" or "|" outside any group is plain text
+      }
+    }
+    if (text) nodes.push(text);
+    return nodes;
+  }
+  function group() {
+    const start = i++;
+    const options = [seq('|}')];
+    while (src[i] === '|') { i++; options.push(seq('|}')); }
+    if (src[i] !== '}') throw new TemplateError(`Unclosed "{" at character ${start + 1}`);
+    i++;
+    return { options, raw: src.slice(start, i) };
+  }
+  return seq('');
+}
+
+const plainName = nodes => nodes.length === 1 && typeof nodes[0] === 'string' && /^\s*[a-z_][a-z0-9_]*\s*$/i.test(nodes[0]) ? nodes[0] : null;
+
+function evaluate(nodes, ctx) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+    const name  = plainName(node.options[0]);
+    const field = name !== null && lookup(ctx.lead, ctx.vars, name);
+    if (field?.known) {
+      if (!blank(field.value)) return String(field.value).trim();
+      if (node.options.length > 1) return evaluate(node.options[1], ctx);
+      return DEFAULTS[fieldKey(name)] ?? '';
+    }
+    if (node.options.length === 1) {
+      ctx.unknown.add(node.raw);
+      return node.raw;
+    }
+    return evaluate(node.options[Math.floor(ctx.random() * node.options.length)], ctx);
+  }).join('');
+}
+
+// {#field}…{/field} keeps its body only when the field has a value; {^field}
+// only when it doesn't. Handled before spintax so bodies may contain anything.
+function applyBlocks(template, ctx) {
+  const BLOCK = /\{([#^])\s*([a-z_][a-z0-9_]*)\s*\}([\s\S]*?)\{\/\s*\2\s*\}/i;
+  let out = template;
+  for (let m; (m = out.match(BLOCK));) {
+    const field = lookup(ctx.lead, ctx.vars, m[2]);
+    if (!field.known) ctx.unknown.add(`{${m[1]}${m[2]}}`);
+    const show = (m[1] === '#') === (field.known && !blank(field.value));
+    out = out.slice(0, m.index) + (show ? m[3] : '') + out.slice(m.index + m[0].length);
+  }
+  const stray = out.match(/\{[#^/]\s*[a-z_][a-z0-9_]*\s*\}/i);
+  if (stray) throw new TemplateError(`Block ${stray[0]} has no matching open/close tag`);
+  return out;
+}
+
+// Returns { text, unknown } — unknown placeholders are left in the text as-is
+function renderTemplate(template, lead = {}, vars = {}) {
+  const ctx = {
+    lead,
+    vars:    Object.fromEntries(Object.entries(vars).map(([k, v]) => [fieldKey(k), v])),
+    random:  seeded(`${lead.phone || ''}\n${template}`),
+    unknown: new Set(),
+  };
+  // Blank fields and dropped blocks can leave doubled spaces behind
+  const text = evaluate(parse(applyBlocks(String(template || ''), ctx)), ctx).replace(/ {2,}/g, ' ').trim();
+  return { text, unknown: [...ctx.unknown] };
+}
+
+const render = (template, lead, vars) => renderTemplate(template, lead, vars).text;
+
+// ─── SMS segments ─────────────────────────────────────────────────────────────
+// GSM-7 fits 160 chars in one segment (153 per part when split); anything
+// outside it — emoji, curly quotes — switches the whole message to UCS-2 at
+// 70 (67) UTF-16 units. Extension characters cost two GSM units.
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXT   = '^{}\\[~]|€\f';
+
+function smsSegments(text) {
+  const chars = [...String(text)];
+  const gsm   = chars.every(c => GSM_BASIC.includes(c) || GSM_EXT.includes(c));
+  const units = gsm
+    ? chars.reduce((n, c) => n + (GSM_EXT.includes(c) ? 2 : 1), 0)
+    : String(text).length;
+  const [single, multi] = gsm ? [160, 153] : [70, 67];
+  return { encoding: gsm ? 'GSM-7' : 'UCS-2', length: units, segments: units <= single ? (units ? 1 : 0) : Math.ceil(units / multi) };
+}
+
+module.exports = { renderTemplate, render, smsSegments, TemplateError, FIELDS };
@@ -0,0 +1,138 @@
+// ─── Area code → time zone ────────────────────────────────────────────────────
+// NANP area codes grouped by state/province. Each group takes the zone most of
+// its population lives in; AREA_CODE_OVERRIDES covers codes that sit on the
+// other side of a zone line (El Paso, west Kentucky, east Tennessee, ...).
+const STATES = {
+  AL: ['America/Chicago',      [205, 251, 256, 334, 659, 938]],
+  AK: ['America/Anchorage',    [907]],
+  AZ: ['America/Phoenix',      [480, 520, 602, 623, 928]],
+  AR: ['America/Chicago',      [327, 479, 501, 870]],
+  CA: ['America/Los_Angeles',  [209, 213, 279, 310, 323, 341, 350, 369, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650, 657, 661, 669, 707, 714, 738, 747, 760, 805, 818, 820, 831, 837, 840, 858, 909, 916, 925, 949, 951]],
+  CO: ['America/Denver',       [303, 719, 720, 970, 983]],
+  CT: ['America/New_York',     [203, 475, 860, 959]],
+  DE: ['America/New_York',     [302]],
+  DC: ['America/New_York',     [202, 771]],
+  FL: ['America/New_York',     [239, 305, 321, 324, 352, 386, 407, 448, 561, 645, 656, 689, 727, 728, 754, 772, 786, 813, 850, 863, 904, 941, 954]],
+  GA: ['America/New_York',     [229, 404, 470, 478, 678, 706, 762, 770, 912, 943]],
+  HI: ['Pacific/Honolulu',     [808]],
+  ID: ['America/Boise',        [208, 986]],
+  IL: ['America/Chicago',      [217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 861, 872]],
+  IN: ['America/Indiana/Indianapolis', [219, 260, 317, 463, 574, 765, 812, 930]],
+  IA: ['America/Chicago',      [319, 515, 563, 641, 712]],
+  KS: ['America/Chicago',      [316, 620, 785, 913]],
+  KY: ['America/New_York',     [270, 364, 502, 606, 859]],
+  LA: ['America/Chicago',      [225, 318, 337, 504, 985]],
+  ME: ['America/New_York',     [207]],
+  MD: ['America/New_York',     [227, 240, 301, 410, 443, 667]],
+  MA: ['America/New_York',     [339, 351, 413, 508, 617, 774, 781, 857, 978]],
+  MI: ['America/Detroit',      [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989]],
+  MN: ['America/Chicago',      [218, 320, 507, 612, 651, 763, 924, 952]],
+  MS: ['America/Chicago',      [228, 601, 662, 769]],
+  MO: ['America/Chicago',      [235, 314, 417, 557, 573, 636, 660, 816, 975]],
+  MT: ['America/Denver',       [406]],
+  NE: ['America/Chicago',      [308, 402, 531]],
+  NV: ['America/Los_Angeles',  [702, 725, 775]],
+  NH: ['America/New_York',     [603]],
+  NJ: ['America/New_York',     [201, 551, 609, 640, 732, 848, 856, 862, 908, 973]],
+  NM: ['America/Denver',       [505, 575]],
+  NY: ['America/New_York',     [212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716, 718, 838, 845, 914, 917, 929, 934]],
+  NC: ['America/New_York',     [252, 336, 472, 704, 743, 828, 910, 919, 980, 984]],
+  ND: ['America/Chicago',      [701]],
+  OH: ['America/New_York',     [216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937]],
+  OK: ['America/Chicago',      [405, 539, 572, 580, 918]],
+  OR: ['America/Los_Angeles',  [458, 503, 541, 971]],
+  PA: ['America/New_York',     [215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878]],
+  RI: ['America/New_York',     [401]],
+  SC: ['America/New_York',     [803, 821, 839, 843, 854, 864]],
+  SD: ['America/Chicago',      [605]],
+  TN: ['America/Chicago',      [423, 615, 629, 731, 865, 901, 931]],
+  TX: ['America/Chicago',      [210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832, 903, 915, 936, 940, 945, 956, 972, 979]],
+  UT: ['America/Denver',       [385, 435, 801]],
+  VT: ['America/New_York',     [802]],
+  VA: ['America/New_York',     [276, 434, 540, 571, 686, 703, 757, 804, 826, 948]],
+  WA: ['America/Los_Angeles',  [206, 253, 360, 425, 509, 564]],
+  WV: ['America/New_York',     [304, 681]],
+  WI: ['America/Chicago',      [262, 274, 353, 414, 534, 608, 715, 920]],
+  WY: ['America/Denver',       [307]],
+  PR: ['America/Puerto_Rico',  [787, 939]],
+  // Canada
+  AB: ['America/Edmonton',     [368, 403, 587, 780, 825]],
+  BC: ['America/Vancouver',    [236, 250, 257, 604, 672, 778]],
+  MB: ['America/Winnipeg',     [204, 431, 584]],
+  NB: ['America/Moncton',      [428, 506]],
+  NL: ['America/St_Johns',     [709, 879]],
+  NS: ['America/Halifax',      [782, 902]],
+  ON: ['America/Toronto',      [226, 249, 289, 343, 365, 382, 387, 416, 437, 519, 548, 613, 647, 683, 705, 742, 753, 807, 905, 942]],
+  QC: ['America/Toronto',      [263, 354, 367, 418, 438, 450, 468, 514, 579, 581, 819, 873]],
+  SK: ['America/Regina',       [306, 474, 639]],
+};
+
+const AREA_CODE_OVERRIDES = {
+  915: 'America/Denver',   // El Paso
+  270: 'America/Chicago',  // western Kentucky
+  364: 'America/Chicago',
+  423: 'America/New_York', // eastern Tennessee
+  865: 'America/New_York',
+  219: 'America/Chicago',  // northwest Indiana
+  807: 'America/Winnipeg', // northwestern Ontario
+};
+
+const AREA_CODES = {};
+for (const [tz, codes] of Object.values(STATES)) codes.forEach(c => { AREA_CODES[c] = tz; });
+Object.assign(AREA_CODES, AREA_CODE_OVERRIDES);
+
+const STATE_NAMES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+  connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+  hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+  louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+  'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+  ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+  virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY',
+  'puerto rico': 'PR',
+};
+
+// Cities that commonly show up in lists without a state attached.
+const CITIES = {
+  'America/Los_Angeles': ['los angeles', 'san diego', 'san jose', 'san francisco', 'fresno', 'sacramento', 'long beach', 'oakland', 'bakersfield', 'anaheim', 'santa ana', 'riverside', 'irvine', 'oxnard', 'ventura', 'thousand oaks', 'simi valley', 'santa barbara', 'camarillo', 'santa clarita', 'pasadena', 'glendale', 'burbank', 'torrance', 'seattle', 'tacoma', 'spokane', 'portland', 'las vegas', 'henderson', 'reno'],
+  'America/Denver':      ['denver', 'colorado springs', 'aurora', 'albuquerque', 'salt lake city', 'el paso', 'boise'],
+  'America/Phoenix':     ['phoenix', 'tucson', 'mesa', 'chandler', 'scottsdale', 'tempe', 'gilbert'],
+  'America/Chicago':     ['chicago', 'houston', 'dallas', 'san antonio', 'austin', 'fort worth', 'memphis', 'nashville', 'oklahoma city', 'tulsa', 'kansas city', 'st. louis', 'st louis', 'milwaukee', 'minneapolis', 'st. paul', 'new orleans', 'omaha', 'wichita', 'birmingham'],
+  'America/New_York':    ['new york', 'brooklyn', 'queens', 'bronx', 'philadelphia', 'jacksonville', 'columbus', 'charlotte', 'indianapolis', 'detroit', 'boston', 'washington', 'baltimore', 'atlanta', 'miami', 'tampa', 'orlando', 'raleigh', 'virginia beach', 'pittsburgh', 'cincinnati', 'cleveland', 'newark', 'buffalo', 'richmond'],
+};
+
+const CITY_ZONES = {};
+for (const [tz, cities] of Object.entries(CITIES)) cities.forEach(c => { CITY_ZONES[c] = tz; });
+
+function areaCodeZone(phone) {
+  const d = String(phone || '').replace(/\D/g, '');
+  const ten = d.length === 11 && d[0] === '1' ? d.slice(1) : d;
+  if (ten.length !== 10) return null;
+  return AREA_CODES[ten.slice(0, 3)] || null;
+}
+
+// "Austin, TX", "Austin TX 78701", "Ventura, California" or just "Ventura"
+function cityZone(city) {
+  const c = String(city || '').toLowerCase().replace(/\d{5}(-\d{4})?/g, '').replace(/\s+/g, ' ').trim();
+  if (!c) return null;
+  const abbr = c.match(/(?:,|\s)\s*([a-z]{2})\.?$/);
+  if (abbr && STATES[abbr[1].toUpperCase()]) return STATES[abbr[1].toUpperCase()][0];
+  for (const [name, code] of Object.entries(STATE_NAMES)) {
+    if (c.endsWith(name)) return STATES[code][0];
+  }
+  const bare = c.split(',')[0].trim();
+  return CITY_ZONES[bare] || null;
+}
+
+// Returns { timeZone, source } — source is 'area-code', 'city' or 'default'
+function leadTimeZone(lead, fallback) {
+  const byPhone = areaCodeZone(lead.phone);
+  if (byPhone) return { timeZone: byPhone, source: 'area-code' };
+  const byCity = cityZone(lead.city);
+  if (byCity) return { timeZone: byCity, source: 'city' };
+  return { timeZone: fallback || process.env.DEFAULT_TIMEZONE || 'America/Los_Angeles', source: 'default' };
+}
+
+module.exports = { leadTimeZone, areaCodeZone, cityZone };
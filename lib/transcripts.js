@@ -0,0 +1,74 @@
+// ─── Call transcripts ─────────────────────────────────────────────────────────
+// VAPI's end-of-call report carries the transcript as text and as a message
+// list, plus recording URLs — at the top level of the report or call, or under
+// `artifact` on newer API versions. fromReport() boils that down to one shape:
+//   { transcript, messages: [{ speaker: 'lead'|'sarah', text, seconds }], recordingUrl, stereoRecordingUrl }
+const SPEAKERS = { user: 'lead', customer: 'lead', bot: 'sarah', assistant: 'sarah', ai: 'sarah' };
+
+// "AI: Hello\nUser: Hi" — what the plain-text transcript looks like
+function parseTranscript(text) {
+  return String(text || '').split(/\r?\n/).map(line => {
+    const m = line.match(/^\s*(AI|Bot|Assistant|User|Customer)\s*:\s*(.*)$/i);
+    return m && m[2].trim() ? { speaker: SPEAKERS[m[1].toLowerCase()], text: m[2].trim(), seconds: null } : null;
+  }).filter(Boolean);
+}
+
+function fromReport(msg = {}, call = {}) {
+  const artifact  = { ...call.artifact, ...msg.artifact };
+  const recording = artifact.recording || {};
+  const raw       = artifact.messages || msg.messages || call.messages || [];
+  const text      = artifact.transcript || msg.transcript || call.transcript || '';
+  let messages    = raw
+    .map(m => ({ speaker: SPEAKERS[m.role], text: String(m.message ?? m.content ?? '').trim(), seconds: m.secondsFromStart ?? null }))
+    .filter(m => m.speaker && m.text);
+  if (!messages.length) messages = parseTranscript(text);
+  return {
+    transcript:         String(text || messages.map(m => `${m.speaker === 'lead' ? 'User' : 'AI'}: ${m.text}`).join('\n')),
+    messages,
+    recordingUrl:       artifact.recordingUrl || msg.recordingUrl || call.recordingUrl || recording.mono?.combinedUrl || null,
+    stereoRecordingUrl: artifact.stereoRecordingUrl || msg.stereoRecordingUrl || call.stereoRecordingUrl || recording.stereoUrl || null,
+  };
+}
+
+// ─── Search ───────────────────────────────────────────────────────────────────
+// Words must all appear in the call; OR (or |) separates alternatives and
+// "quotes" keep a phrase together: probate OR divorce, "behind on payments".
+// Terms match at the start of a word, so "inherit" finds "inherited".
+function parseQuery(q) {
+  const groups = [[]];
+  for (const [, phrase, word] of String(q || '').matchAll(/"([^"]+)"|(\S+)/g)) {
+    if (!phrase && (word === 'OR' || word === '|')) { groups.push([]); continue; }
+    const term = (phrase || word).toLowerCase().replace(/\s+/g, ' ').trim();
+    if (term) groups[groups.length - 1].push(term);
+  }
+  return groups.filter(g => g.length);
+}
+
+const termPattern = term => new RegExp(`(?<![\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+')}`, 'iu');
+
+// A line of text cut down to the first match with some context either side
+function excerpt(text, patterns, context = 80) {
+  const at    = Math.min(...patterns.map(p => text.search(p)).filter(i => i >= 0));
+  const start = Math.max(0, at - context);
+  const end   = Math.min(text.length, at + context * 2);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+// record: a stored transcript. speaker narrows to what the lead (or Sarah)
+// said. Returns null, or { terms, matches, snippets: [{ speaker, seconds, text }] }
+function searchCall(record, groups, { speaker, snippets = 3 } = {}) {
+  const lines = (record.messages?.length ? record.messages : [{ speaker: null, text: record.transcript || '', seconds: null }])
+    .filter(l => !speaker || l.speaker === speaker);
+  const matched  = groups.filter(g => g.every(t => lines.some(l => termPattern(t).test(l.text))));
+  if (!matched.length) return null;
+  const terms    = [...new Set(matched.flat())];
+  const patterns = terms.map(termPattern);
+  const hits     = lines.filter(l => patterns.some(p => p.test(l.text)));
+  return {
+    terms,
+    matches:  hits.length,
+    snippets: hits.slice(0, snippets).map(l => ({ speaker: l.speaker, seconds: l.seconds, text: excerpt(l.text, patterns) })),
+  };
+}
+
+module.exports = { fromReport, parseQuery, searchCall };
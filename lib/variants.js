@@ -0,0 +1,108 @@
+const { renderTemplate, TemplateError } = require('./template');
+
+// ─── A/B variants ─────────────────────────────────────────────────────────────
+// A job can split its leads between up to five variants, each lead drawn at
+// random by weight when the job is created and tagged with the variant's id
+// (A, B, C…). Calls use the variant's assistantId and/or assistantOverrides
+// (merged into the VAPI call); texts use its messageTemplate. Anything a
+// variant leaves out comes from the job, so a bare { name: 'Control' } is the
+// campaign as it would have run anyway.
+//   variants: [{ name, weight, assistantId, assistantOverrides, messageTemplate }]
+const MAX_VARIANTS = 5;
+const IDS          = ['A', 'B', 'C', 'D', 'E'];
+
+class VariantError extends Error {}
+
+// Request body → stored variants, or null when the job isn't split
+function cleanVariants(input) {
+  if (input == null || (Array.isArray(input) && !input.length)) return null;
+  if (!Array.isArray(input) || input.length < 2) throw new VariantError('An A/B test needs at least two variants.');
+  if (input.length > MAX_VARIANTS) throw new VariantError(`At most ${MAX_VARIANTS} variants per campaign.`);
+  return input.map((v, i) => {
+    const id     = IDS[i];
+    const weight = v?.weight === undefined || v?.weight === '' ? 1 : Number(v.weight);
+    if (!Number.isFinite(weight) || weight <= 0) throw new VariantError(`Variant ${id}: weight must be a number above 0.`);
+    const out = { id, name: String(v?.name || '').trim().slice(0, 60) || `Variant ${id}`, weight };
+    if (v?.assistantId) out.assistantId = String(v.assistantId).trim();
+    if (v?.assistantOverrides) {
+      if (typeof v.assistantOverrides !== 'object' || Array.isArray(v.assistantOverrides)) throw new VariantError(`Variant ${id}: assistantOverrides must be an object.`);
+      if (JSON.stringify(v.assistantOverrides).length > 20000) throw new VariantError(`Variant ${id}: assistantOverrides is too large.`);
+      out.assistantOverrides = v.assistantOverrides;
+    }
+    if (v?.messageTemplate) {
+      out.messageTemplate = String(v.messageTemplate);
+      try {
+        renderTemplate(out.messageTemplate);
+      } catch (err) {
+        if (err instanceof TemplateError) throw new VariantError(`Variant ${id} template: ${err.message}`);
+        throw err;
+      }
+    }
+    return out;
+  });
+}
+
+// A variant id drawn by weight
+function assignVariant(variants) {
+  let r = Math.random() * variants.reduce((n, v) => n + v.weight, 0);
+  for (const v of variants) if ((r -= v.weight) < 0) return v.id;
+  return variants[variants.length - 1].id;
+}
+
+// ─── Comparison ───────────────────────────────────────────────────────────────
+// Rates are over leads actually reached (called or texted). Each variant after
+// the first is compared with the first on the campaign's main metric — hot
+// rate for calls, reply rate for texts — by a two-proportion z-test:
+//   significant  p < 0.05        trending  p < 0.2
+//   no difference otherwise      too early  under 30 reached in either group
+const MIN_SAMPLE = 30;
+
+const rate = (n, of) => (of ? Math.round((n / of) * 1000) / 10 : null);
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989422804014327 * Math.exp(-z * z / 2);
+  const p = d * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z > 0 ? 1 - p : p;
+}
+
+function zTest(x1, n1, x2, n2) {
+  const pooled = (x1 + x2) / (n1 + n2);
+  const se     = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (!se) return { z: 0, p: 1 };
+  const z = (x2 / n2 - x1 / n1) / se;
+  return { z: Math.round(z * 100) / 100, p: Math.round(2 * (1 - normalCdf(Math.abs(z))) * 1000) / 1000 };
+}
+
+function verdict(base, v, metric) {
+  if (base.reached < MIN_SAMPLE || v.reached < MIN_SAMPLE) return { verdict: 'too early', p: null };
+  const { z, p } = zTest(base[metric], base.reached, v[metric], v.reached);
+  const level = p < 0.05 ? 'significant' : p < 0.2 ? 'trending' : 'no difference';
+  return { verdict: level === 'no difference' ? level : `${level} ${z > 0 ? 'better' : 'worse'}`, p, z };
+}
+
+// results: the job's result rows (each carrying `variant`). mode picks the
+// main metric. Returns { metric, baseline, variants: [{ id, name, weight,
+// leads, reached, hot, warm, replied, hotRate, warmRate, replyRate, vsBaseline }] }
+function compareVariants(variants, results, mode = 'call') {
+  const metric = mode === 'sms' ? 'replied' : 'hot';
+  const rows   = variants.map(v => {
+    const mine = results.filter(r => r.variant === v.id);
+    const c    = {
+      leads:   mine.length,
+      reached: mine.filter(r => r.callId || r.sentAt || r.status === 'sent').length,
+      hot:     mine.filter(r => r.outcome === 'hot').length,
+      warm:    mine.filter(r => r.outcome === 'warm').length,
+      replied: mine.filter(r => r.replied).length,
+    };
+    return {
+      id: v.id, name: v.name, weight: v.weight, ...c,
+      hotRate: rate(c.hot, c.reached), warmRate: rate(c.warm, c.reached), replyRate: rate(c.replied, c.reached),
+    };
+  });
+  rows.forEach((row, i) => { row.vsBaseline = i ? verdict(rows[0], row, metric) : null; });
+  return { metric: mode === 'sms' ? 'replyRate' : 'hotRate', baseline: rows[0].id, variants: rows };
+}
+
+module.exports = { VariantError, cleanVariants, assignVariant, compareVariants };
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+// ─── Webhook verification ─────────────────────────────────────────────────────
+// VAPI sends the assistant's server secret in X-Vapi-Secret; Twilio signs the
+// full public URL plus the POST params with the account auth token. Each check
+// returns null when the request is genuine, or the reason it was rejected.
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function checkVapi(req, secret) {
+  if (!secret) return 'VAPI_WEBHOOK_SECRET is not set';
+  const sent = req.get('x-vapi-secret');
+  if (!sent) return 'missing X-Vapi-Secret header';
+  return safeEqual(sent, secret) ? null : 'secret mismatch';
+}
+
+// Twilio signs the URL it was configured with, so behind a proxy the request
+// host may differ — SERVER_URL is preferred when set.
+function checkTwilio(req, authToken, serverUrl) {
+  if (!authToken) return 'TWILIO_AUTH_TOKEN is not set';
+  const signature = req.get('x-twilio-signature');
+  if (!signature) return 'missing X-Twilio-Signature header';
+  const base = (serverUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  const ok   = require('twilio').validateRequest(authToken, signature, base + req.originalUrl, req.body || {});
+  return ok ? null : 'signature mismatch';
+}
+
+// Posts from our own telephony simulator (lib/simulator.js) carry a token
+// generated at startup instead of a provider signature.
+function checkSimulator(req, token) {
+  const sent = req.get('x-simulator-token');
+  return !!sent && !!token && safeEqual(sent, token);
+}
+
+module.exports = { checkVapi, checkTwilio, checkSimulator };
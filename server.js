@@ -3,22 +3,140 @@ const express  = require('express');
 const path     = require('path');
 const { v4: uuidv4 } = require('uuid');
 const axios    = require('axios');
+const crypto   = require('crypto');
 const multer   = require('multer');
+const store    = require('./lib/store').open();
+const { leadTimeZone } = require('./lib/timezones');
+const { resolveWindow, nextOpening, describeWindow, parseLocalDateTime } = require('./lib/hours');
+const { buildInvite } = require('./lib/ics');
+const { draftReply, needsHuman } = require('./lib/autoreply');
+const { checkVapi, checkTwilio, checkSimulator } = require('./lib/webhooks');
+const { STRUCTURED_DATA_PLAN, loadRules, classifyOutcome, structuredDataOf } = require('./lib/analysis');
+const { ROLES, hashPassword, verifyPassword, newToken, hashToken, parseCookies } = require('./lib/auth');
+const { renderTemplate, render, smsSegments, TemplateError } = require('./lib/template');
+const { normalizePhone, loadNumberPlan, validateLeads, REASONS: INVALID_PHONE } = require('./lib/phones');
+const { parseImport, ImportError } = require('./lib/imports');
+const { readPdf, extractLeads } = require('./lib/pdf');
+const { researchLead, researchProvider } = require('./lib/research');
+const { vapi, twilio } = require('./lib/providers');
+const { createSimulator } = require('./lib/simulator');
+const { EVENTS: HOOK_EVENTS, deliver, retryDelay } = require('./lib/outbound');
+const { fromReport, parseQuery, searchCall } = require('./lib/transcripts');
+const { analyze, toCSV: analyticsCSV } = require('./lib/analytics');
+const { ProfileError, resolveProfile, cleanProfile, vars: brandVars } = require('./lib/profiles');
+const { VariantError, cleanVariants, assignVariant, compareVariants } = require('./lib/variants');
 
 const app    = express();
 const upload = multer({ storage: multer.memoryStorage() });
 
 app.use(express.json({ limit: '20mb' }));
 app.use(express.urlencoded({ extended: false }));
+app.use(authenticate, requireLogin);
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ─── Stores ───────────────────────────────────────────────────────────────────
-const jobs         = new Map();
+// Persistent stores survive restarts (see lib/store.js) — call .save(key) after
+// mutating a stored object in place.
+const jobs         = store.map('jobs');
 const sseClients   = new Map();
-const callIndex    = new Map();
-const smsSent      = new Set();
-const conversations = new Map(); // phone → [{direction:'out'|'in', body, timestamp}]
-const phoneToJob    = new Map(); // formatted-phone → {jobId, leadIndex}
+const callIndex    = store.map('callIndex');
+const smsSent      = store.set('smsSent');
+const conversations = store.map('conversations'); // phone → [{direction:'out'|'in', body, timestamp}]
+const phoneToJob    = store.map('phoneToJob');    // formatted-phone → {jobId, leadIndex} — fallback for texts sent before messages carried their job
+const leadRecords   = store.map('leads');         // formatted-phone → {phone, firstName, ..., jobs: [{jobId, mode, addedAt, contactedAt}], calls, texts, replies, lastContactAt, lastOutcome}
+const retryQueue    = store.map('retryQueue');    // retryId → {info, dueAt, kind}
+const suppressed    = store.map('suppressed');    // formatted-phone → {reason, source, addedAt}
+const appointments  = store.map('appointments');  // appointmentId → {jobId, leadIndex, callId, name, phone, startsAt, timeZone, ...}
+const smsIndex      = store.map('smsIndex');      // Twilio MessageSid → formatted-phone, for status callbacks
+const inboxReads    = store.map('inboxReads');    // formatted-phone → ISO time the thread was last read
+const handoffs      = store.map('handoffs');      // formatted-phone → {reason, by, at} — auto-responder paused for that thread
+const schedules     = store.map('schedules');     // scheduleId → {name, leads, options, steps, stopOn, repeat, startAt, status, nextStep, cycle, nextRunAt, runs, ...}
+const profiles      = store.map('profiles');      // profileId → {id, name, agentName, brandName, ownerName, assistantId, phoneNumberId, smsFrom, alertPhones, reportEmails, appointmentEmails, templates, email, createdBy, createdAt}
+const transcripts   = store.map('transcripts');   // callId → {callId, jobId, leadIndex, phone, name, endedAt, duration, outcome, summary, transcript, messages, recordingUrl, stereoRecordingUrl}
+const researchCache = store.map('researchCache'); // formatted-phone → {name, provider, text, at}
+const hooks         = store.map('hooks');         // hookId → {id, name, url, events, secret, enabled, includeTest, createdBy, createdAt, lastStatus, lastDeliveryAt}
+const hookDeliveries = store.map('hookDeliveries'); // deliveryId → {id, hookId, url, event, data, status, attempts, nextAttemptAt, createdAt, deliveredAt}
+const webhookStats  = store.map('webhookStats');  // 'vapi'|'sms' → {accepted, rejected, lastRejectedAt, lastReason, lastIp}
+const retryTimers   = new Map();                  // retryId → timeout handle
+const activeJobs    = new Set();                  // jobIds with a processJob/processSMSJob loop running
+const liveCalls     = new Map();                  // callId → {jobId, dialedAt} — dialed, no end-of-call yet
+const users         = store.map('users');         // username → {username, role, salt, passwordHash, createdAt}
+const sessions      = store.map('sessions');      // sha256(cookie) → {username, expiresAt}
+const apiTokens     = store.map('apiTokens');     // sha256(token) → {id, name, role, createdBy, createdAt, lastUsedAt}
+
+// ─── Login & roles ────────────────────────────────────────────────────────────
+// Browsers log in for a session cookie; scripts send `Authorization: Bearer
+// <token>` with an API token an admin created. Webhooks carry their own
+// signatures (see requireWebhookAuth) and skip this check.
+const SESSION_MS   = (parseFloat(process.env.SESSION_HOURS) || 168) * 60 * 60 * 1000;
+const OPEN_PATHS   = ['/login.html', '/api/auth/status', '/api/auth/login', '/api/auth/setup'];
+
+function authenticate(req, res, next) {
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (bearer) {
+    const key   = hashToken(bearer);
+    const token = apiTokens.get(key);
+    if (token) {
+      token.lastUsedAt = new Date().toISOString();
+      apiTokens.save(key);
+      req.user = { username: `token:${token.name}`, role: token.role, via: 'token' };
+    }
+    return next();
+  }
+  const sid = parseCookies(req.headers.cookie).sid;
+  if (!sid) return next();
+  const key     = hashToken(sid);
+  const session = sessions.get(key);
+  const user    = session && users.get(session.username);
+  if (user && session.expiresAt > Date.now()) req.user = { username: user.username, role: user.role, via: 'session' };
+  else if (session) sessions.delete(key);
+  next();
+}
+
+function requireLogin(req, res, next) {
+  const isApi = req.path.startsWith('/api/');
+  if (req.user || OPEN_PATHS.includes(req.path)) return next();
+  if (isApi && req.path.startsWith('/api/webhook/') && req.path !== '/api/webhook/stats') return next();
+  // Page assets are harmless; only the dashboard itself and the API need a login
+  if (!isApi && !['/', '/index.html'].includes(req.path)) return next();
+  if (isApi) return res.status(401).json({ error: 'Login required' });
+  res.redirect('/login.html');
+}
+
+function requireRole(role) {
+  return (req, res, next) => req.user?.role === role
+    ? next()
+    : res.status(403).json({ error: `Only ${role}s can do that` });
+}
+const adminOnly = requireRole('admin');
+
+function startSession(res, username) {
+  const sid = newToken();
+  sessions.set(hashToken(sid), { username, expiresAt: Date.now() + SESSION_MS });
+  const secure = /^https:/.test(process.env.SERVER_URL || '') ? '; Secure' : '';
+  res.setHeader('Set-Cookie', `sid=${sid}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${Math.floor(SESSION_MS / 1000)}${secure}`);
+}
+
+function createUser(username, password, role) {
+  username = String(username || '').trim().toLowerCase();
+  if (!/^[a-z0-9._@-]{2,64}$/.test(username)) throw new Error('Username must be 2–64 letters, digits or . _ @ -');
+  if (String(password || '').length < 8) throw new Error('Password must be at least 8 characters');
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  if (users.has(username)) throw new Error('That username is taken');
+  users.set(username, { username, role, ...hashPassword(password), createdAt: new Date().toISOString() });
+  return { username, role };
+}
+
+// First admin can come from the environment so a fresh deploy isn't locked out
+function bootstrapAdmin() {
+  if (users.size) return;
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return console.log(`  ⚠ No users yet — open the dashboard to create the admin account`);
+  try {
+    createUser(ADMIN_USERNAME, ADMIN_PASSWORD, 'admin');
+    console.log(`  ✓ Created admin account "${ADMIN_USERNAME.toLowerCase()}"`);
+  } catch (e) { console.log(`  ✗ Could not create admin account: ${e.message}`); }
+}
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 function broadcast(jobId, data) {
@@ -28,26 +146,19 @@ function broadcast(jobId, data) {
 
 const sleep = ms => new Promise(r => setTimeout(r, ms));
 
+// Valid NANP numbers become +1XXXXXXXXXX; anything else keeps its own digits
+// rather than being forced into a +1 number (lead lists are validated up front)
 function formatPhone(raw) {
-  const d = String(raw).replace(/\D/g, '');
-  if (!d) return '';
-  if (d.length === 11 && d[0] === '1') return `+${d}`;
-  if (d.length === 10) return `+1${d}`;
-  if (d.length > 11) return `+1${d.slice(-10)}`;
-  return `+1${d}`;
+  const { phone } = normalizePhone(raw);
+  if (phone) return phone;
+  const d = String(raw ?? '').replace(/\D/g, '');
+  return d ? `+${d}` : '';
 }
 
-function classifyOutcome(call) {
-  const reason  = (call.endedReason  || '').toLowerCase();
-  const summary = (call.analysis?.summary || '').toLowerCase();
-  if (['customer-did-not-answer','no-answer','voicemail'].some(r => reason.includes(r))) return 'no-answer';
-  if (['do-not-call','rejected'].some(r => reason.includes(r))) return 'not-interested';
-  if (reason.includes('hang-up') && !call.startedAt) return 'not-interested';
-  if (['book','schedul','appoint','interested','call back','set up','yes'].some(w => summary.includes(w))) return 'hot';
-  if (['maybe','follow','later','think about','consider','down the road'].some(w => summary.includes(w))) return 'warm';
-  if (reason.includes('ended-call')) return 'completed';
-  return 'completed';
-}
+// ─── Classify call outcome ────────────────────────────────────────────────────
+// Structured data from VAPI is mapped to outcomes by these rules (see
+// lib/analysis.js); summary keywords are only the fallback.
+const OUTCOME_RULES = loadRules();
 
 // ─── Classify SMS reply ───────────────────────────────────────────────────────
 function classifyReply(body) {
@@ -58,79 +169,336 @@ function classifyReply(body) {
   return 'replied';
 }
 
-// ─── Twilio SMS ───────────────────────────────────────────────────────────────
-function getTwilio() {
-  return require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+// ─── Do-Not-Call / opt-out suppression ───────────────────────────────────────
+// Carrier STOP keywords only count when they are the whole message ("end" or
+// "cancel" mid-sentence is not an opt-out); the phrases count anywhere.
+const STOP_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit', 'optout', 'revoke'];
+
+function isOptOut(body) {
+  const b = (body || '').toLowerCase().trim();
+  if (STOP_KEYWORDS.includes(b.replace(/[^a-z]/g, ''))) return true;
+  return /\b(unsubscribe|remove me|opt[\s-]?out|take me off|stop (calling|texting|messaging)|do not (call|contact|text)|don'?t (call|contact|text)|leave me alone)\b/.test(b);
+}
+
+function requestedDoNotCall(call) {
+  const reason  = (call.endedReason || '').toLowerCase();
+  const summary = (call.analysis?.summary || '').toLowerCase();
+  if (reason.includes('do-not-call') || structuredDataOf(call)?.intent === 'do-not-call') return true;
+  return /\b(do not call|don'?t call|stop calling|remove (him|her|them|me) from|take (him|her|them|me) off|placed? on (the|a|our) do[\s-]not[\s-]call)\b/.test(summary);
+}
+
+function isSuppressed(raw) {
+  return suppressed.has(formatPhone(raw));
+}
+
+function suppress(raw, reason, source) {
+  const phone = formatPhone(raw);
+  if (!phone || suppressed.has(phone)) return false;
+  suppressed.set(phone, { reason: reason || '', source, addedAt: new Date().toISOString() });
+  console.log(`  ⛔ Suppressed ${phone} (${source}${reason ? `: ${reason}` : ''})`);
+  return true;
+}
+
+// ─── Lead records ─────────────────────────────────────────────────────────────
+// One record per phone number, across every job the number was part of. Jobs
+// still own the call attempts and conversations the texts; the record links
+// them and keeps the running totals GET /api/leads lists and filters by.
+// Test-mode jobs never touch the records — their contacts and outcomes are
+// made up, and mustn't make a real campaign skip the lead.
+const LEAD_FIELDS = ['firstName', 'lastName', 'streetName', 'city', 'propertyValue', 'timeZone'];
+
+function recordLead(lead, jobId, mode, now = new Date().toISOString()) {
+  const phone = formatPhone(lead.phone);
+  if (!phone || isTestJob(jobId)) return;
+  const rec = leadRecords.get(phone) || { phone, firstSeenAt: now, jobs: [], calls: 0, texts: 0, replies: 0, lastContactAt: null, lastReplyAt: null, lastOutcome: null, lastOutcomeAt: null };
+  for (const k of LEAD_FIELDS) if (lead[k]) rec[k] = lead[k]; // the newest list wins
+  if (!rec.jobs.some(j => j.jobId === jobId)) rec.jobs.push({ jobId, mode, addedAt: now, contactedAt: null });
+  leadRecords.set(phone, rec);
+}
+
+// kind: 'call' | 'text' | 'reply' | null (outcome only)
+function touchLead(raw, jobId, kind, outcome) {
+  const rec = leadRecords.get(formatPhone(raw));
+  if (!rec || isTestJob(jobId)) return;
+  const now = new Date().toISOString();
+  if (kind === 'call' || kind === 'text') {
+    rec[kind === 'call' ? 'calls' : 'texts']++;
+    rec.lastContactAt = now;
+    const link = rec.jobs.find(j => j.jobId === jobId);
+    if (link) link.contactedAt = now;
+  }
+  if (kind === 'reply') Object.assign(rec, { replies: rec.replies + 1, lastReplyAt: now });
+  if (outcome) Object.assign(rec, { lastOutcome: outcome, lastOutcomeAt: now });
+  leadRecords.save(rec.phone);
+}
+
+// When another job last reached the lead, if within the job's
+// skipContactedDays — earlier steps of the same schedule, and test runs recorded
+// before they were kept out, don't count
+function recentContact(job, jobId, phone) {
+  if (!job.skipContactedDays) return null;
+  const cutoff = new Date(Date.now() - job.skipContactedDays * DAY_MS).toISOString();
+  const link   = (leadRecords.get(phone)?.jobs || []).filter(l => l.jobId !== jobId && l.contactedAt >= cutoff && !isTestJob(l.jobId))
+    .find(l => !job.scheduleId || jobs.get(l.jobId)?.scheduleId !== job.scheduleId);
+  return link ? link.contactedAt : null;
+}
+
+// The job a reply belongs to: the one behind the latest text that reached the
+// lead (a failed text can't have been answered). Simulated texts share the
+// lead's real thread but never claim a real reply: simulated picks test-mode
+// jobs only, false real ones only, and undefined real ones first.
+function threadJob(phone, simulated) {
+  if (simulated === undefined) return threadJob(phone, false) || threadJob(phone, true);
+  const sent = (conversations.get(phone) || []).filter(m => m.direction === 'out' && m.jobId && jobs.has(m.jobId) && isTestJob(m.jobId) === simulated);
+  const last = sent.findLast(m => !['failed', 'undelivered'].includes(m.status)) || sent[sent.length - 1];
+  if (last) return { jobId: last.jobId, leadIndex: last.leadIndex };
+  const fallback = !simulated && phoneToJob.get(phone);
+  return fallback && !isTestJob(fallback.jobId) ? fallback : null;
+}
+
+// The part of a thread that belongs with the job's mode — real or simulated
+const threadFor = (phone, jobId) => (conversations.get(phone) || []).filter(m => !!m.test === isTestJob(jobId));
+
+const leadResult = (job, phone) => job?.results.find(r => formatPhone(r.phone) === phone) || null;
+
+function leadStatus(rec) {
+  if (isSuppressed(rec.phone)) return 'do-not-call';
+  if (handoffs.has(rec.phone)) return 'needs-you';
+  if ([...appointments.values()].some(a => a.phone === rec.phone && !isTestJob(a.jobId) && a.status === 'booked' && a.startsAt > new Date().toISOString())) return 'appointment';
+  return rec.lastOutcome || (rec.lastContactAt ? 'contacted' : 'new');
+}
+
+function leadSummary(rec) {
+  const { jobs: links, ...fields } = rec;
+  return { ...fields, name: [rec.firstName, rec.lastName].filter(Boolean).join(' '), jobCount: links.length, status: leadStatus(rec) };
+}
+
+// Everything that happened with the lead, oldest first
+function leadTimeline(rec) {
+  const events = [];
+  for (const link of rec.jobs) {
+    const job = jobs.get(link.jobId);
+    const r   = leadResult(job, rec.phone);
+    if (!r) continue;
+    const calls = (r.attempts || []).filter(a => a.channel === 'call');
+    calls.forEach((a, n) => events.push({
+      at: a.dialedAt, type: 'call', jobId: link.jobId, attempt: a.attempt, callId: a.callId || null,
+      outcome: a.outcome || null, endedReason: a.endedReason || null, duration: a.duration || null,
+      summary: a.summary ?? (n === calls.length - 1 ? r.summary || '' : ''),
+      transcript: !!(a.callId && transcripts.has(a.callId)),
+    }));
+    if (!r.attempts?.length && ['skipped', 'suppressed', 'cancelled', 'error'].includes(r.status) && !r.sentAt) {
+      events.push({ at: link.contactedAt || job.createdAt, type: 'not-contacted', jobId: link.jobId, status: r.status, reason: r.error || SKIPPED[r.status] || '' });
+    }
+  }
+  for (const m of (conversations.get(rec.phone) || []).filter(m => !m.test)) {
+    events.push({ at: m.timestamp, type: 'sms', direction: m.direction, body: m.body, status: m.status || null, jobId: m.jobId || null, ...(m.outcome && { outcome: m.outcome }), ...(m.bot && { bot: true }), ...(m.probe && { probe: true }), ...(m.sentBy && { sentBy: m.sentBy }) });
+  }
+  for (const a of appointments.values()) {
+    if (a.phone === rec.phone) events.push({ at: a.createdAt, type: 'appointment', jobId: a.jobId, appointmentId: a.id, startsAt: a.startsAt, timeZone: a.timeZone, status: a.status });
+  }
+  const dnc = suppressed.get(rec.phone);
+  if (dnc) events.push({ at: dnc.addedAt, type: 'do-not-call', reason: dnc.reason, source: dnc.source });
+  return events.filter(e => e.at).sort((a, b) => a.at.localeCompare(b.at));
+}
+
+// Records for jobs that ran before lead records existed
+const NOT_OUTCOMES = ['sent', 'error', 'skipped', 'suppressed', 'cancelled'];
+
+function backfillLeads() {
+  for (const [jobId, job] of jobs) {
+    if (job.testMode) continue;
+    (job.leads || job.results).forEach(l => recordLead(l, jobId, job.mode, job.createdAt));
+    for (const r of job.results) {
+      const rec = leadRecords.get(formatPhone(r.phone));
+      const at  = r.attempts?.[r.attempts.length - 1]?.dialedAt || r.sentAt;
+      if (!rec || !at) continue;
+      rec.calls += (r.attempts || []).filter(a => a.channel === 'call').length;
+      rec.jobs.find(j => j.jobId === jobId).contactedAt = at;
+      if (at > (rec.lastContactAt || '')) rec.lastContactAt = at;
+      const outcomeAt = r.repliedAt || at;
+      if (r.outcome && !NOT_OUTCOMES.includes(r.outcome) && outcomeAt > (rec.lastOutcomeAt || '')) Object.assign(rec, { lastOutcome: r.outcome, lastOutcomeAt: outcomeAt });
+    }
+  }
+  for (const rec of leadRecords.values()) {
+    const thread = (conversations.get(rec.phone) || []).filter(m => !m.test);
+    rec.texts   = thread.filter(m => m.direction === 'out').length;
+    rec.replies = thread.filter(m => m.direction === 'in').length;
+    rec.lastReplyAt = thread.findLast(m => m.direction === 'in')?.timestamp || null;
+    leadRecords.save(rec.phone);
+  }
+  if (leadRecords.size) console.log(`  ✓ Built ${leadRecords.size} lead records from existing jobs`);
+}
+
+// ─── Calling hours ────────────────────────────────────────────────────────────
+// Earliest time (Date) the lead may be contacted under its job's window, in the
+// lead's own time zone; null if the window never opens. Jobs created before
+// windows existed have no contactWindow and are always open.
+function nextContactTime(job, lead, from = new Date()) {
+  const tz = lead.timeZone || leadTimeZone(lead).timeZone;
+  return nextOpening(job?.contactWindow || null, tz, from);
+}
+
+// ─── Providers ────────────────────────────────────────────────────────────────
+// Jobs launched in test mode dial and text through the simulator, which posts
+// its webhooks back to us marked with SIM_TOKEN; everything else uses VAPI and
+// Twilio. Alerts to the team about a test job stay in the simulator too.
+const SIM_TOKEN = crypto.randomBytes(24).toString('hex');
+let simulator   = null;
+
+function providersFor(job) {
+  if (!job?.testMode) return { voice: vapi, sms: twilio };
+  simulator = simulator || createSimulator({ baseUrl: `http://127.0.0.1:${PORT}`, headers: { 'x-simulator-token': SIM_TOKEN } });
+  return simulator;
+}
+
+const isTestJob = jobId => !!jobs.get(jobId)?.testMode;
+
+// The brand a job runs as (lib/profiles.js), fixed at launch. Jobs from before
+// profiles existed, and texts with no job, use the environment's.
+const profileById = id => resolveProfile(id ? profiles.get(id) : null);
+const profileOf   = jobId => jobs.get(jobId)?.profile || profileById(null);
+
+// The A/B variant (lib/variants.js) a lead was assigned at launch, if the job is split
+const variantOf = (jobId, lead) => jobs.get(jobId)?.variants?.find(v => v.id === lead?.variant) || null;
+
+// Per-variant rates for a split job, from its result rows; null otherwise
+const variantReport = (job, rows = job.results) => (job.variants ? compareVariants(job.variants, rows, job.mode) : null);
+
+// ─── SMS ──────────────────────────────────────────────────────────────────────
+// Alerts for the team go to every alert number on the profile
+// simulated: send through the simulator even when no job is known (a simulated
+// reply that matched no thread)
+async function sendAlert(body, jobId, profile = profileOf(jobId), simulated = isTestJob(jobId)) {
+  const { sms } = providersFor({ testMode: simulated });
+  if (sms.missing()) return;
+  await Promise.all(profile.alertPhones.map(to => sms.send({ to, body, from: profile.smsFrom, alert: true }).catch(() => {})));
 }
 
-async function sendSMS(to, body) {
-  if (!process.env.TWILIO_ACCOUNT_SID) return;
-  try { await getTwilio().messages.create({ from: process.env.TWILIO_FROM, to, body }); } catch (_) {}
+// Every text to a lead goes through here so it lands in their thread with its
+// Twilio sid and job; delivery status then follows from the status callback
+// (needs SERVER_URL so Twilio can reach us). Replies are matched back to the
+// job by threadJob().
+async function textLead(phone, body, { jobId, leadIndex, ...extra } = {}) {
+  const statusCallback = process.env.SERVER_URL ? `${process.env.SERVER_URL}/api/webhook/sms/status` : undefined;
+  const msg = await providersFor(jobs.get(jobId)).sms.send({ to: phone, body, statusCallback, from: profileOf(jobId).smsFrom });
+  if (!conversations.has(phone)) conversations.set(phone, []);
+  conversations.get(phone).push({ direction: 'out', body, timestamp: new Date().toISOString(), sid: msg?.sid, status: msg?.status || 'queued', ...(jobId && { jobId, leadIndex }), ...extra, ...(isTestJob(jobId) && { test: true }) });
+  conversations.save(phone);
+  if (jobId && !isTestJob(jobId)) phoneToJob.set(phone, { jobId, leadIndex });
+  touchLead(phone, jobId, 'text');
+  if (msg?.sid) smsIndex.set(msg.sid, phone);
+  return msg;
 }
 
-async function sendHotLeadSMS(lead, summary, duration) {
+async function sendHotLeadSMS(lead, summary, duration, structured, jobId) {
   const name = lead.name || [lead.firstName, lead.lastName].filter(Boolean).join(' ') || 'Unknown';
   const dur  = duration && duration !== '—' ? ` (${duration} call)` : '';
-  await sendSMS(process.env.TWILIO_TO, [
+  const s    = structured || {};
+  await sendAlert([
     `🔥 HOT LEAD${dur}`,
     ``,
     `👤 ${name}`,
     `📞 ${lead.phone}`,
+    ...(s.appointmentTime ? [`📅 Appointment: ${s.appointmentTime}`] : []),
+    ...(s.timeline        ? [`⏱ Timeline: ${s.timeline}`] : []),
+    ...(s.askingPrice     ? [`💰 Asking: $${Number(s.askingPrice).toLocaleString()}`] : []),
+    ...(s.motivation      ? [`💡 Motivation: ${s.motivation}`] : []),
     ``,
-    `Sarah's summary:`,
+    `${profileOf(jobId).agentName}'s summary:`,
     (summary || '').substring(0, 300),
     ``,
     `Call them back ASAP!`
-  ].join('\n'));
+  ].join('\n'), jobId);
 }
 
 // ─── Probe text → filter disconnected numbers ─────────────────────────────────
-async function probeAndFilter(leads) {
-  if (!process.env.TWILIO_ACCOUNT_SID) return leads; // skip if no Twilio
-  const twilio = getTwilio();
-
-  console.log(`  📨 Sending probe texts to ${leads.length} numbers...`);
-
-  const probed = await Promise.allSettled(leads.map(async lead => {
-    const phone = formatPhone(lead.phone);
-    const name  = lead.firstName || 'there';
-    const msg   = await twilio.messages.create({
-      from: process.env.TWILIO_FROM,
-      to:   phone,
-      body: `Hi ${name}, this is Omar from Rad Realty — I'll be giving you a quick call shortly!`
-    });
-    return { lead, sid: msg.sid };
-  }));
-
-  // Wait for delivery receipts
-  await sleep(12000);
+// Texts the leads that may be called right now (clearToContact — so nobody
+// outside their window, suppressed or contacted recently) and waits for the
+// delivery receipts. Numbers whose probe failed are marked as errors and never
+// dialed; leads queued for later are probed in the pass run when their window
+// opens. The probe's sid stays on the result row, so after a restart the
+// receipt is checked again rather than the lead texted twice.
+const PROBE_FAILED = ['failed', 'undelivered'];
+
+async function probePass(jobId, leads) {
+  const job     = jobs.get(jobId);
+  const { sms } = providersFor(job);
+  if (sms.missing()) return; // skip if no Twilio
+  const profile = profileOf(jobId);
+
+  // Probes sent before a restart whose receipts were never checked
+  const unchecked = job.results.flatMap((r, i) => (r.status === 'pending' && r.probe && !r.probe.status ? [i] : []));
+  const fresh     = [];
+  leads.forEach((lead, i) => {
+    const r = job.results[i];
+    if (!['pending', 'queued'].includes(r?.status) || r.probe) return;
+    const base = leadBase(lead);
+    if (!clearToContact(jobId, i, base)) return;
+    job.results[i] = { ...base, status: 'pending', probe: { sentAt: new Date().toISOString() } };
+    fresh.push(i);
+  });
+  if (!fresh.length && !unchecked.length) return broadcast(jobId, { type: 'probe_done', valid: 0, dropped: 0 });
 
-  const valid = [];
-  for (const result of probed) {
-    if (result.status !== 'fulfilled') continue;
-    const { lead, sid } = result.value;
+  if (fresh.length) {
+    broadcast(jobId, { type: 'probe', message: `Sending probe texts to ${fresh.length} numbers...` });
+    console.log(`  📨 Sending probe texts to ${fresh.length} numbers...`);
+  }
+  jobs.save(jobId); // the probe is on record before it goes out
+  await Promise.all(fresh.map(async i => {
+    const probe = job.results[i].probe;
     try {
-      const msg = await twilio.messages(sid).fetch();
-      if (!['failed', 'undelivered'].includes(msg.status)) valid.push(lead);
-      else console.log(`  ✗ Dropped ${lead.phone} — ${msg.status}`);
-    } catch (_) {
-      valid.push(lead); // assume valid if we can't check
+      // Recorded in the thread, so a reply to the probe is matched to this job
+      const msg = await textLead(job.results[i].phone, render(job.probeTemplate || profile.templates.probe, leads[i], brandVars(profile)), { jobId, leadIndex: i, probe: true });
+      probe.sid = msg.sid;
+    } catch (err) {
+      Object.assign(probe, { status: 'failed', error: err.message });
+    }
+  }));
+  jobs.save(jobId);
+
+  // Wait for delivery receipts. A cancel meanwhile has already closed out the
+  // rows — leave them, and the job's cancelled state, as they are.
+  await sleep(sms.receiptDelayMs);
+  if (!(await checkpoint(jobId))) return;
+
+  let valid = 0, dropped = 0;
+  for (const i of [...unchecked, ...fresh]) {
+    const r = job.results[i];
+    if (r.status !== 'pending') continue;
+    if (!r.probe.status) {
+      try {
+        r.probe.status = (await sms.fetch(r.probe.sid)).status;
+      } catch (_) {
+        r.probe.status = 'unknown'; // assume valid if we can't check
+      }
     }
+    if (!PROBE_FAILED.includes(r.probe.status)) { valid++; continue; }
+    dropped++;
+    job.results[i] = { ...r, status: 'error', outcome: 'error', error: `Probe text ${r.probe.status} — number looks disconnected` };
+    console.log(`  ✗ Dropped ${r.phone} — probe ${r.probe.status}`);
+    pushUpdate(jobId, i);
   }
-
-  console.log(`  ✓ ${valid.length}/${leads.length} numbers valid after probe`);
-  return valid;
+  jobs.save(jobId);
+  console.log(`  ✓ ${valid}/${valid + dropped} numbers valid after probe`);
+  broadcast(jobId, { type: 'probe_done', valid, dropped });
 }
 
 // ─── Email report ─────────────────────────────────────────────────────────────
-async function sendEmailReport(results, total) {
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS || !process.env.EMAIL_TO) return;
+function getMailer() {
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) return null;
+  return require('nodemailer').createTransport({
+    service: 'gmail',
+    auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+  });
+}
+
+// variants: the job's A/B comparison (variantReport), if it was split
+async function sendEmailReport(results, total, profile = profileById(null), variants = null) {
+  const transporter = getMailer();
+  if (!transporter || !profile.reportEmails.length) return;
+  const { email: brand } = profile;
   try {
-    const nodemailer = require('nodemailer');
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
-    });
 
     const hot       = results.filter(r => r.outcome === 'hot');
     const warm      = results.filter(r => r.outcome === 'warm');
@@ -138,6 +506,9 @@ async function sendEmailReport(results, total) {
     const notInt    = results.filter(r => r.outcome === 'not-interested');
     const completed = results.filter(r => r.outcome === 'completed');
     const errors    = results.filter(r => r.outcome === 'error' || r.status === 'error');
+    const skipped   = results.filter(r => r.outcome === 'suppressed');
+    const cancelled = results.filter(r => r.outcome === 'cancelled');
+    const recent    = results.filter(r => r.outcome === 'skipped');
 
     const outcomeRow = (label, color, items) => items.length === 0 ? '' : `
       <tr>
@@ -151,7 +522,7 @@ async function sendEmailReport(results, total) {
       </tr>`;
 
     const callRows = results.map(r => {
-      const color = {hot:'#f97316',warm:'#eab308',completed:'#22c55e','no-answer':'#64748b','not-interested':'#f04a4a',error:'#f04a4a'}[r.outcome] || '#64748b';
+      const color = {hot:'#f97316',warm:'#eab308',completed:'#22c55e','no-answer':'#64748b','not-interested':'#f04a4a',error:'#f04a4a',suppressed:'#64748b',skipped:'#64748b',cancelled:'#64748b'}[r.outcome] || '#64748b';
       return `<tr>
         <td style="padding:10px 16px;border-bottom:1px solid #1e2538;color:#eef2ff;font-weight:500;">${r.name || '—'}</td>
         <td style="padding:10px 16px;border-bottom:1px solid #1e2538;color:#8899bb;">${r.phone || '—'}</td>
@@ -168,16 +539,16 @@ async function sendEmailReport(results, total) {
     <body style="background:#080c18;font-family:Inter,sans-serif;padding:32px;color:#eef2ff;">
       <div style="max-width:800px;margin:0 auto;">
         <div style="display:flex;align-items:center;gap:14px;margin-bottom:32px;">
-          <div style="width:46px;height:46px;background:linear-gradient(135deg,#d4a534,#b88e28);border-radius:12px;display:flex;align-items:center;justify-content:center;font-size:22px;">📞</div>
+          <div style="width:46px;height:46px;background:${brand.accentColor};border-radius:12px;display:flex;align-items:center;justify-content:center;font-size:22px;">${brand.logo}</div>
           <div>
-            <div style="font-size:20px;font-weight:700;">Sarah AI Caller</div>
-            <div style="font-size:13px;color:#8899bb;">Rad Realty — Call Report</div>
+            <div style="font-size:20px;font-weight:700;">${brand.fromName}</div>
+            <div style="font-size:13px;color:#8899bb;">${profile.brandName} — Call Report</div>
           </div>
         </div>
 
         <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:12px;margin-bottom:28px;">
           ${[
-            ['Total',total,'#d4a534'],
+            ['Total',total,brand.accentColor],
             ['🔥 Hot',hot.length,'#f97316'],
             ['⚡ Warm',warm.length,'#eab308'],
             ['✅ Completed',completed.length,'#22c55e'],
@@ -197,9 +568,27 @@ async function sendEmailReport(results, total) {
             ${outcomeRow('📵 No Answer','#64748b',noAnswer)}
             ${outcomeRow('🚫 Not Interested','#f04a4a',notInt)}
             ${outcomeRow('⚠ Error','#f04a4a',errors)}
+            ${outcomeRow('⛔ Suppressed (DNC)','#64748b',skipped)}
+            ${outcomeRow('⏹ Not Called (Cancelled)','#64748b',cancelled)}
+            ${outcomeRow('⏭ Skipped (Contacted Recently)','#64748b',recent)}
           </table>
         </div>
 
+        ${variants ? `
+        <div style="background:#0f1424;border:1px solid #1e2538;border-radius:12px;overflow:hidden;margin-bottom:24px;">
+          <div style="padding:16px 20px;border-bottom:1px solid #1e2538;font-weight:600;">A/B Test — compared with ${variants.baseline}</div>
+          <table style="width:100%;border-collapse:collapse;">
+            ${variants.variants.map(v => `<tr>
+              <td style="padding:10px 16px;border-bottom:1px solid #1e2538;color:#eef2ff;font-weight:500;">${v.id} · ${v.name}</td>
+              <td style="padding:10px 16px;border-bottom:1px solid #1e2538;color:#8899bb;font-size:13px;">${v.reached} reached</td>
+              <td style="padding:10px 16px;border-bottom:1px solid #1e2538;color:#f97316;font-size:13px;">🔥 ${v.hot} (${v.hotRate ?? 0}%)</td>
+              <td style="padding:10px 16px;border-bottom:1px solid #1e2538;color:#eab308;font-size:13px;">⚡ ${v.warm} (${v.warmRate ?? 0}%)</td>
+              <td style="padding:10px 16px;border-bottom:1px solid #1e2538;color:#22c55e;font-size:13px;">💬 ${v.replied} (${v.replyRate ?? 0}%)</td>
+              <td style="padding:10px 16px;border-bottom:1px solid #1e2538;color:#8899bb;font-size:12px;">${v.vsBaseline ? v.vsBaseline.verdict + (v.vsBaseline.p != null ? ` (p=${v.vsBaseline.p})` : '') : 'baseline'}</td>
+            </tr>`).join('')}
+          </table>
+        </div>` : ''}
+
         <div style="background:#0f1424;border:1px solid #1e2538;border-radius:12px;overflow:hidden;">
           <div style="padding:16px 20px;border-bottom:1px solid #1e2538;font-weight:600;">All Calls</div>
           <table style="width:100%;border-collapse:collapse;">
@@ -217,270 +606,1265 @@ async function sendEmailReport(results, total) {
         </div>
 
         <div style="margin-top:24px;text-align:center;color:#5c6a8a;font-size:12px;">
-          Generated by Sarah AI Caller — Rad Realty
+          Generated by ${brand.fromName} — ${profile.brandName}
         </div>
       </div>
     </body></html>`;
 
     await transporter.sendMail({
-      from:    `"Sarah AI Caller" <${process.env.EMAIL_USER}>`,
-      to:      process.env.EMAIL_TO,
-      subject: `📊 Call Report — ${total} leads called by Sarah (${hot.length} hot, ${warm.length} warm)`,
+      from:    `"${brand.fromName}" <${process.env.EMAIL_USER}>`,
+      to:      profile.reportEmails.join(', '),
+      subject: `📊 Call Report — ${total} leads called by ${profile.agentName} (${hot.length} hot, ${warm.length} warm)`,
       html
     });
-    console.log('  ✉ Email report sent to', process.env.EMAIL_TO);
+    console.log('  ✉ Email report sent to', profile.reportEmails.join(', '));
   } catch (e) {
     console.log('  ✗ Email report failed:', e.message);
   }
 }
 
-// ─── Initiate a single VAPI call ──────────────────────────────────────────────
-async function initiateCall(lead) {
-  const phone = formatPhone(lead.phone);
-  const res = await axios.post('https://api.vapi.ai/call', {
-    assistantId: process.env.VAPI_ASSISTANT_ID,
-    assistantOverrides: {
-      variableValues: {
-        first_name:       lead.firstName || lead.name || 'there',
-        street_name:      lead.streetName || lead.city || '',
-        property_address: lead.streetName || lead.city || '',
-        property_value:   lead.propertyValue || '',
-        phone_number:     phone,
-      }
-    },
-    customer:      { name: lead.name || [lead.firstName, lead.lastName].filter(Boolean).join(' ') || 'Lead', number: phone },
-    phoneNumberId: process.env.VAPI_PHONE_NUMBER_ID
-  }, {
-    headers: { Authorization: `Bearer ${process.env.VAPI_API_KEY}` },
-    timeout: 30000
+// ─── Appointments ─────────────────────────────────────────────────────────────
+// A call whose structured data carries appointmentTime books (or reschedules)
+// the lead's appointment: the agent gets an email with an .ics invite and the
+// lead gets a confirmation text (the profile's confirmation template). One
+// appointment per lead per job.
+const APPOINTMENT_MINUTES = parseInt(process.env.APPOINTMENT_MINUTES) || 30;
+
+function formatWhen(date, timeZone) {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short',
   });
-  return res.data?.id;
 }
 
-// ─── Schedule retry for no-answer ────────────────────────────────────────────
-function scheduleRetry(info) {
-  const delayMs = parseInt(process.env.RETRY_DELAY_MINUTES || '45') * 60 * 1000;
-  setTimeout(async () => {
+function appointmentInvite(appt) {
+  return buildInvite({
+    uid:         `${appt.id}@sarah-ai-caller`,
+    start:       appt.startsAt,
+    minutes:     appt.minutes,
+    sequence:    appt.sequence,
+    title:       `${profileOf(appt.jobId).brandName} — ${appt.name || appt.phone}`,
+    description: [`Phone: ${appt.phone}`, appt.address && `Property: ${appt.address}`, appt.notes && `\n${appt.notes}`].filter(Boolean).join('\n'),
+    location:    appt.address,
+    organizer:   process.env.EMAIL_USER,
+    attendee:    appt.agentEmail?.split(',')[0].trim(),
+  });
+}
+
+async function bookAppointment(info, callId, structured, summary) {
+  const lead     = info.lead;
+  const timeZone = lead.timeZone || process.env.DEFAULT_TIMEZONE || 'America/Los_Angeles';
+  const startsAt = parseLocalDateTime(structured?.appointmentTime, timeZone);
+  if (!startsAt) {
+    if (structured?.appointmentTime) console.log(`  ✗ Couldn't read appointment time "${structured.appointmentTime}" for ${lead.name || lead.phone}`);
+    return null;
+  }
+
+  const existing = [...appointments.values()].find(a => a.jobId === info.jobId && a.leadIndex === info.leadIndex);
+  if (existing && existing.startsAt === startsAt.toISOString()) return existing; // same booking reported twice
+  const appt = Object.assign(existing || { id: uuidv4(), jobId: info.jobId, leadIndex: info.leadIndex, createdAt: new Date().toISOString(), sequence: -1 }, {
+    callId,
+    name:       lead.name || [lead.firstName, lead.lastName].filter(Boolean).join(' '),
+    phone:      formatPhone(lead.phone),
+    address:    [lead.streetName, lead.city].filter(Boolean).join(', '),
+    startsAt:   startsAt.toISOString(),
+    timeZone,
+    minutes:    APPOINTMENT_MINUTES,
+    notes:      summary || '',
+    status:     'booked',
+    agentEmail: profileOf(info.jobId).appointmentEmails.join(', ') || null,
+    ...(isTestJob(info.jobId) && { test: true }),
+  });
+  appt.sequence++;
+  appointments.set(appt.id, appt);
+  console.log(`  📅 ${existing ? 'Rescheduled' : 'Booked'} ${appt.name || appt.phone} for ${formatWhen(startsAt, timeZone)}`);
+
+  const job = jobs.get(info.jobId);
+  const r   = job?.results[info.leadIndex];
+  if (r) { r.appointmentId = appt.id; jobs.save(info.jobId); }
+
+  await Promise.all([sendAppointmentInvite(appt, !!existing), sendAppointmentConfirmation(appt, lead)]);
+  appointments.save(appt.id);
+  emitEvent('appointment.booked', {
+    lead: leadPayload(info.jobId, info.leadIndex),
+    appointment: { id: appt.id, startsAt: appt.startsAt, timeZone: appt.timeZone, minutes: appt.minutes, address: appt.address, notes: appt.notes, callId, rescheduled: !!existing },
+  }, !!appt.test);
+  return appt;
+}
+
+async function sendAppointmentInvite(appt, rescheduled) {
+  const transporter = getMailer();
+  if (!transporter || !appt.agentEmail || appt.test) return;
+  const when    = formatWhen(appt.startsAt, appt.timeZone);
+  const profile = profileOf(appt.jobId);
+  try {
+    const ics = appointmentInvite(appt);
+    await transporter.sendMail({
+      from:      `"${profile.email.fromName}" <${process.env.EMAIL_USER}>`,
+      to:        appt.agentEmail,
+      subject:   `📅 ${rescheduled ? 'Rescheduled' : 'Appointment'}: ${appt.name || appt.phone} — ${when}`,
+      text:      [`${profile.agentName} booked a conversation with ${appt.name || 'a lead'}.\n`, `When:  ${when}`, `Phone: ${appt.phone}`, appt.address && `Property: ${appt.address}`, appt.notes && `\n${appt.notes}`].filter(Boolean).join('\n'),
+      icalEvent: { method: 'request', filename: 'appointment.ics', content: ics },
+    });
+    appt.inviteSentAt = new Date().toISOString();
+    console.log(`  ✉ Invite sent to ${appt.agentEmail}`);
+  } catch (e) {
+    console.log(`  ✗ Invite email failed: ${e.message}`);
+  }
+}
+
+async function sendAppointmentConfirmation(appt, lead) {
+  if (providersFor(jobs.get(appt.jobId)).sms.missing() || isSuppressed(appt.phone)) return;
+  const profile = profileOf(appt.jobId);
+  const body    = render(profile.templates.confirmation, lead, { ...brandVars(profile), when: formatWhen(appt.startsAt, appt.timeZone) });
+  try {
+    await textLead(appt.phone, body, { jobId: appt.jobId, leadIndex: appt.leadIndex });
+    appt.confirmationSentAt = new Date().toISOString();
+  } catch (e) {
+    console.log(`  ✗ Confirmation text failed for ${appt.phone}: ${e.message}`);
+  }
+}
+
+// ─── Outbound webhooks ────────────────────────────────────────────────────────
+// Subscriptions (managed under /api/hooks) hear about lead events; the payload
+// and signature are described in lib/outbound.js. Every delivery is kept in
+// hookDeliveries for the history endpoint, and pending retries are re-armed
+// after a restart. Test-mode jobs only reach hooks created with includeTest.
+const HOOK_HISTORY = parseInt(process.env.OUTBOUND_HISTORY) || 1000;
+const hookTimers   = new Map(); // deliveryId → timeout handle
+
+// The lead as a CRM sees it, or null when the job is gone
+function leadPayload(jobId, leadIndex) {
+  const job = jobs.get(jobId);
+  const r   = job?.results[leadIndex];
+  if (!r) return null;
+  return {
+    jobId, leadIndex, mode: job.mode,
+    name:          r.name || [r.firstName, r.lastName].filter(Boolean).join(' '),
+    firstName:     r.firstName || '',
+    lastName:      r.lastName || '',
+    phone:         formatPhone(r.phone),
+    streetName:    r.streetName || '',
+    city:          r.city || '',
+    propertyValue: r.propertyValue || '',
+    timeZone:      r.timeZone || null,
+    ...(job.testMode && { test: true }),
+  };
+}
+
+function emitEvent(event, data, test = false) {
+  for (const hook of hooks.values()) {
+    if (!hook.enabled || !hook.events.includes(event) || (test && !hook.includeTest)) continue;
+    queueDelivery(hook, event, data);
+  }
+}
+
+function queueDelivery(hook, event, data) {
+  const delivery = {
+    id: uuidv4(), hookId: hook.id, url: hook.url, event, data,
+    status: 'pending', attempts: [], nextAttemptAt: Date.now(), createdAt: new Date().toISOString(), deliveredAt: null,
+  };
+  hookDeliveries.set(delivery.id, delivery);
+  armDelivery(delivery.id);
+  pruneDeliveries();
+  return delivery;
+}
+
+function armDelivery(deliveryId) {
+  const d = hookDeliveries.get(deliveryId);
+  if (!d || d.status !== 'pending') return;
+  hookTimers.set(deliveryId, setTimeout(() => attemptDelivery(deliveryId), Math.max(0, d.nextAttemptAt - Date.now())));
+}
+
+async function attemptDelivery(deliveryId) {
+  hookTimers.delete(deliveryId);
+  const d    = hookDeliveries.get(deliveryId);
+  const hook = d && hooks.get(d.hookId);
+  if (!d || d.status !== 'pending') return;
+  if (!hook?.enabled) {
+    Object.assign(d, { status: 'failed', nextAttemptAt: null, error: hook ? 'Subscription disabled' : 'Subscription deleted' });
+    return hookDeliveries.save(deliveryId);
+  }
+
+  const result = await deliver(hook, d);
+  d.attempts.push({ at: new Date().toISOString(), status: result.status, error: result.error, ms: result.ms });
+  const wait = result.ok || !result.retry ? null : retryDelay(d.attempts.length);
+  if (result.ok) {
+    Object.assign(d, { status: 'delivered', deliveredAt: new Date().toISOString(), nextAttemptAt: null, error: null });
+  } else if (wait === null) {
+    Object.assign(d, { status: 'failed', nextAttemptAt: null, error: result.error });
+    console.log(`  ✗ Webhook ${d.event} to ${hook.url} failed after ${d.attempts.length} attempt${d.attempts.length > 1 ? 's' : ''}: ${result.error}`);
+  } else {
+    Object.assign(d, { nextAttemptAt: Date.now() + wait, error: result.error });
+  }
+  hookDeliveries.save(deliveryId);
+  Object.assign(hook, { lastStatus: result.ok ? 'delivered' : 'failing', lastDeliveryAt: new Date().toISOString() });
+  hooks.save(hook.id);
+  armDelivery(deliveryId);
+}
+
+// Oldest finished deliveries go first; pending ones are never dropped
+function pruneDeliveries() {
+  const extra = hookDeliveries.size - HOOK_HISTORY;
+  if (extra <= 0) return;
+  [...hookDeliveries.values()].filter(d => d.status !== 'pending')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .slice(0, extra)
+    .forEach(d => hookDeliveries.delete(d.id));
+}
+
+// ─── SMS auto-responder ───────────────────────────────────────────────────────
+// Optional per SMS job. Each inbound reply gets a drafted answer unless the
+// thread was handed to a human; escalation keywords, a low-confidence draft,
+// the model asking for help, or too many bot replies all hand it off.
+function resolveAutoReply(input) {
+  if (!input?.enabled) return null;
+  return {
+    faqs:          String(input.faqs || '').trim(),
+    minConfidence: Math.min(1, Math.max(0, parseFloat(input.minConfidence ?? process.env.AUTOREPLY_MIN_CONFIDENCE ?? '0.7') || 0)),
+    maxReplies:    Math.max(1, parseInt(input.maxReplies ?? process.env.AUTOREPLY_MAX_REPLIES ?? '6') || 1),
+  };
+}
+
+function handOff(phone, info, reason, by = 'auto-responder') {
+  const entry = { reason, by, at: new Date().toISOString() };
+  handoffs.set(phone, entry);
+  const job = jobs.get(info.jobId);
+  const r   = job?.results[info.leadIndex];
+  if (r) {
+    r.handoff = entry;
+    jobs.save(info.jobId);
+    broadcast(info.jobId, { type: 'reply', index: info.leadIndex, result: r });
+  }
+  console.log(`  🙋 ${phone} handed to a human: ${reason}`);
+  if (by === 'auto-responder') {
+    sendAlert(`🙋 ${profileOf(info.jobId).agentName} needs you: ${r?.name || phone}\n📞 ${phone}\n\nWhy: ${reason}\n\nAuto-replies are paused for this thread until you resume them.`, info.jobId);
+  }
+}
+
+async function autoRespond(phone, info) {
+  const job = jobs.get(info.jobId);
+  const cfg = job?.autoReply;
+  if (!cfg || job.status === 'cancelled' || handoffs.has(phone) || isSuppressed(phone)) return;
+
+  const r       = job.results[info.leadIndex];
+  const lead    = { ...(job.leads?.[info.leadIndex] || r), phone };
+  const seen    = (conversations.get(phone) || []).length;
+  const thread  = threadFor(phone, info.jobId);
+  const inbound = thread[thread.length - 1]?.body;
+  const botSent = thread.filter(m => m.bot).length;
+
+  let reason = needsHuman(inbound, profileOf(info.jobId)) || (botSent >= cfg.maxReplies ? `reached ${cfg.maxReplies} automatic replies` : null);
+  let draft;
+  if (!reason) {
     try {
-      const newCallId = await initiateCall(info.lead);
-      callIndex.set(newCallId, { ...info, retries: info.retries + 1 });
-      const job = jobs.get(info.jobId);
-      if (job?.results[info.leadIndex]) {
-        job.results[info.leadIndex].status  = 'initiated';
-        job.results[info.leadIndex].callId  = newCallId;
-        job.results[info.leadIndex].retried = true;
+      draft = await draftReply({ thread, lead, faqs: cfg.faqs, profile: profileOf(info.jobId), timeZone: lead.timeZone || process.env.DEFAULT_TIMEZONE || 'America/Los_Angeles' });
+      if (draft.handoff) reason = draft.reason || 'the draft asked for a human';
+      else if (!draft.reply && !draft.appointmentTime) reason = 'no reply drafted';
+      else if (draft.confidence < cfg.minConfidence) reason = `low confidence (${draft.confidence.toFixed(2)})`;
+    } catch (e) {
+      reason = `auto-reply failed: ${e.message}`;
+    }
+  }
+  if (reason) return handOff(phone, info, reason);
+
+  // A newer message arrived while drafting — its own autoRespond answers it
+  if ((conversations.get(phone) || []).length !== seen) return;
+
+  // An agreed time books the appointment; its confirmation text is the reply
+  if (draft.appointmentTime && await bookAppointment({ ...info, lead }, null, { appointmentTime: draft.appointmentTime }, `Booked by text: "${inbound}"`)) return;
+
+  try {
+    await textLead(phone, draft.reply, { jobId: info.jobId, leadIndex: info.leadIndex, bot: true, confidence: draft.confidence });
+    console.log(`  🤖 Auto-replied to ${r?.name || phone} (${draft.confidence.toFixed(2)})`);
+    broadcast(info.jobId, { type: 'reply', index: info.leadIndex, result: r });
+  } catch (e) {
+    handOff(phone, info, `auto-reply failed: ${e.message}`);
+  }
+}
+
+// ─── Initiate a single call ───────────────────────────────────────────────────
+async function initiateCall(lead, jobId) {
+  const phone   = formatPhone(lead.phone);
+  const profile = profileOf(jobId);
+  const variant = variantOf(jobId, lead);
+  const callId  = await providersFor(jobs.get(jobId)).voice.startCall({
+    phone,
+    name: lead.name || [lead.firstName, lead.lastName].filter(Boolean).join(' ') || 'Lead',
+    variableValues: {
+      first_name:       lead.firstName || lead.name || 'there',
+      street_name:      lead.streetName || lead.city || '',
+      property_address: lead.streetName || lead.city || '',
+      property_value:   lead.propertyValue || '',
+      phone_number:     phone,
+      research:         lead.research || '',
+      agent_name:       profile.agentName,
+      brand_name:       profile.brandName,
+      owner_name:       profile.ownerName,
+    },
+    analysisPlan:       { structuredDataPlan: STRUCTURED_DATA_PLAN },
+    assistantId:        variant?.assistantId || profile.assistantId,
+    assistantOverrides: variant?.assistantOverrides,
+    phoneNumberId:      profile.phoneNumberId,
+  });
+  touchLead(phone, jobId, 'call');
+  return callId;
+}
+
+// ─── Call transcripts ─────────────────────────────────────────────────────────
+// The transcript, messages and recording links from each end-of-call report
+// (see lib/transcripts.js), kept per call for the viewer and for search.
+function archiveCall(call, info, { outcome, summary, duration }, report = {}) {
+  const details = fromReport(report, call);
+  if (!details.transcript && !details.recordingUrl) return null;
+  const lead   = info?.lead || {};
+  const record = {
+    callId:    call.id,
+    jobId:     info?.jobId || null,
+    leadIndex: info?.leadIndex ?? null,
+    phone:     formatPhone(call.customer?.number || lead.phone),
+    name:      lead.name || call.customer?.name || '',
+    endedAt:   call.endedAt || new Date().toISOString(),
+    duration, outcome, summary,
+    ...details,
+  };
+  transcripts.set(call.id, record);
+  return record;
+}
+
+// ─── Lead research ────────────────────────────────────────────────────────────
+// With `research` on, a call job looks its leads up before the first dial and
+// the findings reach the assistant as {{research}}. Results are cached per
+// phone and name for RESEARCH_CACHE_DAYS, so re-running a list costs nothing.
+const RESEARCH_TTL_MS      = parseFloat(process.env.RESEARCH_CACHE_DAYS || '30') * 24 * 60 * 60 * 1000;
+const RESEARCH_CONCURRENCY = Math.max(1, parseInt(process.env.RESEARCH_CONCURRENCY || '3'));
+
+async function cachedResearch(lead, provider, profile) {
+  const key  = formatPhone(lead.phone);
+  const name = [lead.firstName, lead.lastName].filter(Boolean).join(' ');
+  const hit  = researchCache.get(key);
+  if (hit && hit.provider === provider.name && hit.name === name && Date.now() - new Date(hit.at).getTime() < RESEARCH_TTL_MS) return hit.text;
+  const text = await researchLead(lead, provider, profile);
+  researchCache.set(key, { name, provider: provider.name, text, at: new Date().toISOString() });
+  return text;
+}
+
+// Leads already researched (before a restart) or not going to be dialed are skipped
+async function researchLeads(jobId, leads) {
+  const job      = jobs.get(jobId);
+  const provider = researchProvider();
+  const profile  = profileOf(jobId);
+  const todo     = leads.map((_, i) => i).filter(i => leads[i].research === undefined && job.results[i]?.status === 'pending' && !isSuppressed(leads[i].phone));
+  if (!todo.length) return;
+
+  const total = todo.length;
+  let done = 0, found = 0;
+  broadcast(jobId, { type: 'research', done, total });
+  const worker = async () => {
+    for (let i; (i = todo.shift()) !== undefined;) {
+      if (!(await checkpoint(jobId))) return;
+      try {
+        leads[i].research = provider ? await cachedResearch(leads[i], provider, profile) : '';
+        if (!provider) job.results[i].researchError = 'Lead research is not configured';
+      } catch (e) {
+        leads[i].research = '';
+        job.results[i].researchError = e.response?.data?.error?.message || e.message;
       }
-      console.log(`  ↻ Retry initiated for ${info.lead.name}: ${newCallId}`);
-    } catch (err) {
-      console.log(`  ✗ Retry failed for ${info.lead.name}: ${err.message}`);
+      job.results[i].research = leads[i].research;
+      if (leads[i].research) found++;
+      broadcast(jobId, { type: 'research', done: ++done, total });
     }
-  }, delayMs);
+  };
+  await Promise.all(Array.from({ length: RESEARCH_CONCURRENCY }, worker));
+  jobs.save(jobId);
+  broadcast(jobId, { type: 'research_done', found, total: done });
 }
 
-// ─── Core: process SMS blast job ─────────────────────────────────────────────
-async function processSMSJob(jobId, leads) {
-  const job = jobs.get(jobId);
-  if (!job) return;
-  job.status = 'running';
+// ─── Dialer: concurrency + rate limiting ─────────────────────────────────────
+// Calls count as live from the moment VAPI accepts them until the end-of-call
+// webhook (or a status poll, when no webhook is configured) says they ended.
+// Every dial waits for a free slot under the job's own maxConcurrent (other
+// jobs' calls don't count) and, when MAX_LIVE_CALLS is set, under that cap
+// across all jobs. A 429 from VAPI holds all dialing until its Retry-After has passed.
+const MAX_CONCURRENT_CALLS = parseInt(process.env.MAX_CONCURRENT_CALLS || '5');
+const MAX_LIVE_CALLS       = parseInt(process.env.MAX_LIVE_CALLS) || Infinity;
+const CALL_MAX_MS          = parseInt(process.env.CALL_MAX_MINUTES || '15') * 60 * 1000;
+let rateLimitedUntil = 0;
+
+function liveCountFor(jobId) {
+  let n = 0;
+  for (const c of liveCalls.values()) if (c.jobId === jobId) n++;
+  return n;
+}
+
+function slotFree(jobId) {
+  const max = jobs.get(jobId)?.maxConcurrent || MAX_CONCURRENT_CALLS;
+  return liveCountFor(jobId) < max && liveCalls.size < MAX_LIVE_CALLS && Date.now() >= rateLimitedUntil;
+}
+
+function concurrencyOf(jobId) {
+  return { live: liveCountFor(jobId), liveTotal: liveCalls.size, max: jobs.get(jobId)?.maxConcurrent || MAX_CONCURRENT_CALLS };
+}
 
-  const template = job.messageTemplate ||
-    `Hi {name}! This is Sarah from Rad Realty 🏠 We buy homes in your area for cash — fast closings, no repairs needed. Would you be open to a quick chat? Just reply back!`;
+function markCallStarted(callId, jobId) {
+  const dialedAt = Date.now();
+  liveCalls.set(callId, { jobId, dialedAt });
+  broadcast(jobId, { type: 'concurrency', ...concurrencyOf(jobId) });
+  return dialedAt;
+}
 
-  for (let i = 0; i < leads.length; i++) {
-    if (!jobs.has(jobId)) break;
+function markCallEnded(callId) {
+  const live = liveCalls.get(callId);
+  if (!live) return;
+  liveCalls.delete(callId);
+  const info = callIndex.get(callId);
+  if (info && !info.endedAt) { info.endedAt = Date.now(); callIndex.save(callId); }
+  broadcast(live.jobId, { type: 'concurrency', ...concurrencyOf(live.jobId) });
+}
 
-    const lead     = leads[i];
-    const phone    = formatPhone(lead.phone);
-    const name     = lead.firstName || 'there';
-    const leadName = [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.name || '';
-    lead.name      = leadName;
+// Blocks until a call slot is free and no rate-limit backoff is in force.
+// Returns false if the job was cancelled while waiting.
+async function waitForSlot(jobId) {
+  while (!slotFree(jobId)) {
+    if (!(await checkpoint(jobId))) return false;
+    await sleep(500);
+  }
+  return checkpoint(jobId);
+}
 
-    job.results[i] = { ...lead, name: leadName, phone, status: 'sending' };
-    broadcast(jobId, { type: 'update', index: i, result: job.results[i], progress: { current: i, total: leads.length } });
+function retryAfterMs(err) {
+  const h = err.response?.headers?.['retry-after'];
+  if (!h) return 0;
+  const secs = Number(h);
+  return Number.isFinite(secs) ? secs * 1000 : Math.max(0, new Date(h) - Date.now());
+}
 
+async function dialWithBackoff(jobId, lead) {
+  for (let attempt = 0; ; attempt++) {
     try {
-      const body = template.replace(/\{name\}/gi, name).replace(/\{first_name\}/gi, name);
-      await getTwilio().messages.create({ from: process.env.TWILIO_FROM, to: phone, body });
+      return await initiateCall(lead, jobId);
+    } catch (err) {
+      if (err.response?.status !== 429 || attempt >= 5) throw err;
+      const wait = retryAfterMs(err) || Math.min(60000, 2000 * 2 ** attempt);
+      rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + wait);
+      broadcast(jobId, { type: 'rate_limited', retryInMs: wait });
+      console.log(`  ⏳ VAPI rate limit — backing off ${Math.round(wait / 1000)}s`);
+      await sleep(wait);
+    }
+  }
+}
 
-      if (!conversations.has(phone)) conversations.set(phone, []);
-      conversations.get(phone).push({ direction: 'out', body, timestamp: new Date().toISOString() });
-      phoneToJob.set(phone, { jobId, leadIndex: i });
+// Without a webhook nothing tells us a call ended, so poll the provider for calls that
+// have been live a while, and give up on any that outlive CALL_MAX_MINUTES.
+let reaping = false;
+async function reapLiveCalls() {
+  if (reaping) return;
+  reaping = true;
+  for (const [callId, { jobId, dialedAt }] of liveCalls) {
+    const age   = Date.now() - dialedAt;
+    const voice = providersFor(jobs.get(jobId)).voice;
+    if (age > CALL_MAX_MS) { markCallEnded(callId); continue; }
+    if (age < 30000 || voice.missing(profileOf(jobId))) continue;
+    try {
+      const c = await voice.getCall(callId);
+      if (c.status === 'ended') markCallEnded(callId);
+    } catch (_) {}
+  }
+  reaping = false;
+}
 
-      job.results[i] = { ...lead, name: leadName, phone, status: 'sent', sentAt: new Date().toISOString(), outcome: 'sent' };
+// ─── Retry policy ─────────────────────────────────────────────────────────────
+// Per-job policy: how many call attempts in total, the delay before each
+// retry (the last delay repeats), which endedReason categories qualify, and an
+// optional SMS follow-up once the last call attempt fails. Defaults preserve
+// the old behaviour — one retry of no-answer/voicemail after 45 minutes.
+// Categories match whole endedReason codes, so an assistant or pipeline error
+// mid-conversation is never mistaken for a call that didn't connect.
+const RETRY_REASONS = {
+  'no-answer': ['customer-did-not-answer', 'no-answer'],
+  voicemail:   ['voicemail'],
+  busy:        ['customer-busy', 'busy'],
+  failed:      ['twilio-failed-to-connect-call', 'vonage-failed-to-connect-call', 'phone-call-provider-closed-websocket', 'failed-to-connect'],
+};
+
+function retryReason(call) {
+  const reason = (call.endedReason || '').toLowerCase();
+  return Object.keys(RETRY_REASONS).find(k => RETRY_REASONS[k].includes(reason)) || null;
+}
+
+function resolveRetryPolicy(input = {}) {
+  const list   = v => (Array.isArray(v) ? v : String(v).split(','));
+  const delays = list(input.delaysMinutes ?? process.env.RETRY_DELAY_MINUTES ?? '45').map(Number).filter(n => Number.isFinite(n) && n >= 0);
+  const retryOn = list(input.retryOn ?? process.env.RETRY_ON ?? 'no-answer,voicemail').map(s => String(s).trim()).filter(k => RETRY_REASONS[k]);
+  return {
+    maxAttempts:   Math.max(1, parseInt(input.maxAttempts ?? process.env.RETRY_MAX_ATTEMPTS ?? '2') || 1),
+    delaysMinutes: delays.length ? delays : [45],
+    retryOn,
+    smsFallback:   input.smsFallback ? { template: input.smsFallback.template || null } : null,
+  };
+}
+
+// callIndex entries written before attempts were tracked only carry `retries`
+const attemptOf = info => info.attempt ?? (info.retries || 0) + 1;
+
+// ─── Schedule retry ───────────────────────────────────────────────────────────
+// Retries are persisted in retryQueue so a restart re-arms them instead of
+// silently dropping the next attempt. kind 'call' redials; kind 'sms' sends the
+// policy's follow-up text.
+function scheduleRetry(info, kind = 'call') {
+  const job     = jobs.get(info.jobId);
+  const delays  = (job?.retryPolicy || resolveRetryPolicy()).delaysMinutes;
+  const minutes = kind === 'sms' ? 0 : delays[Math.min(attemptOf(info) - 1, delays.length - 1)];
+  const openAt  = nextContactTime(job, info.lead, new Date(Date.now() + minutes * 60 * 1000));
+  if (!openAt) return;
+  const retryId = uuidv4();
+  retryQueue.set(retryId, { info, dueAt: openAt.getTime(), kind });
+  armRetry(retryId);
+}
+
+function armRetry(retryId) {
+  const entry = retryQueue.get(retryId);
+  if (!entry) return;
+  const { info, dueAt, kind = 'call' } = entry;
+  retryTimers.set(retryId, setTimeout(async () => {
+    retryTimers.delete(retryId);
+    const job = jobs.get(info.jobId);
+
+    // Paused job, no free call slot, or a retry re-armed after downtime that now
+    // falls outside the lead's window — push it back rather than dialing
+    const busy   = job?.status === 'paused' || (kind === 'call' && !slotFree(info.jobId));
+    const openAt = busy ? new Date(Date.now() + 30000) : nextContactTime(job, info.lead);
+    if (openAt && openAt > Date.now()) {
+      retryQueue.set(retryId, { info, dueAt: openAt.getTime(), kind });
+      return armRetry(retryId);
+    }
+
+    retryQueue.delete(retryId);
+    if (!job || job.status === 'cancelled') return;
+    const r = job.results[info.leadIndex];
+    if (isSuppressed(info.lead.phone)) {
+      if (r) { Object.assign(r, { status: 'suppressed', outcome: 'suppressed' }); jobs.save(info.jobId); }
+      console.log(`  ⛔ Retry skipped for ${info.lead.name}: number is suppressed`);
+      return maybeSendReport(info.jobId);
+    }
+    if (kind === 'sms') {
+      await sendFallbackSMS(info);
+      return maybeSendReport(info.jobId);
+    }
+
+    const attempt = attemptOf(info) + 1;
+    try {
+      const newCallId = await dialWithBackoff(info.jobId, info.lead);
+      const dialedAt  = markCallStarted(newCallId, info.jobId);
+      callIndex.set(newCallId, { ...info, attempt, dialedAt, endedAt: null });
+      if (r) {
+        // The previous attempt's outcome lives on in r.attempts
+        Object.assign(r, { status: 'initiated', callId: newCallId, retried: true, outcome: undefined });
+        (r.attempts = r.attempts || []).push({ attempt, channel: 'call', callId: newCallId, dialedAt: new Date(dialedAt).toISOString() });
+        jobs.save(info.jobId);
+      }
+      console.log(`  ↻ Retry ${attempt} initiated for ${info.lead.name}: ${newCallId}`);
     } catch (err) {
-      job.results[i] = { ...lead, name: leadName, phone, status: 'error', error: err.message, outcome: 'error' };
+      console.log(`  ✗ Retry failed for ${info.lead.name}: ${err.message}`);
+      if (r) {
+        (r.attempts = r.attempts || []).push({ attempt, channel: 'call', dialedAt: new Date().toISOString(), outcome: 'error', endedReason: err.message });
+        jobs.save(info.jobId);
+      }
+      await maybeSendReport(info.jobId);
     }
+  }, Math.max(0, dueAt - Date.now())));
+}
 
-    broadcast(jobId, { type: 'update', index: i, result: job.results[i], progress: { current: i + 1, total: leads.length } });
-    if (i < leads.length - 1) await sleep(parseInt(process.env.CALL_DELAY_MS || '1500'));
+async function sendFallbackSMS(info) {
+  const job   = jobs.get(info.jobId);
+  const r     = job?.results[info.leadIndex];
+  const phone = formatPhone(info.lead.phone);
+  const body  = render((job.retryPolicy?.smsFallback || {}).template || profileOf(info.jobId).templates.fallback, info.lead, brandVars(profileOf(info.jobId)));
+  const entry = { attempt: attemptOf(info) + 1, channel: 'sms', dialedAt: new Date().toISOString() };
+  try {
+    await textLead(phone, body, { jobId: info.jobId, leadIndex: info.leadIndex });
+    entry.outcome = 'sent';
+    console.log(`  💬 Follow-up text sent to ${info.lead.name || phone}`);
+  } catch (err) {
+    Object.assign(entry, { outcome: 'error', endedReason: err.message });
+    console.log(`  ✗ Follow-up text failed for ${info.lead.name || phone}: ${err.message}`);
   }
+  if (r) {
+    (r.attempts = r.attempts || []).push(entry);
+    if (entry.outcome === 'sent') r.smsFollowUpAt = entry.dialedAt;
+    jobs.save(info.jobId);
+  }
+}
 
-  job.status = 'complete';
-  const sent   = job.results.filter(r => r.status === 'sent').length;
-  const errors = job.results.filter(r => r.status === 'error').length;
-  broadcast(jobId, { type: 'complete', sent, errors, total: leads.length });
+// "1: no-answer (customer-did-not-answer) · 2: sms sent" — for CSV/email
+function attemptSummary(r) {
+  return (r.attempts || []).map(a => `${a.attempt}: ${a.channel === 'sms' ? 'sms ' : ''}${a.outcome || 'pending'}${a.endedReason ? ` (${a.endedReason})` : ''}`).join(' · ');
+}
+
+// ─── Job controls ─────────────────────────────────────────────────────────────
+// The loops call checkpoint() between leads: it blocks while the job is paused
+// and returns false once the job is cancelled (or gone).
+async function checkpoint(jobId) {
+  let job = jobs.get(jobId);
+  while (job?.status === 'paused') { await sleep(1000); job = jobs.get(jobId); }
+  return !!job && job.status !== 'cancelled';
+}
+
+// Status changes the loops make while a job is paused take effect on resume
+function setRunState(job, status) {
+  if (job.status === 'paused') job.pausedFrom = status;
+  else if (job.status !== 'cancelled') job.status = status;
+}
+
+function cancelRetries(jobId) {
+  let n = 0;
+  for (const [retryId, { info }] of retryQueue) {
+    if (info.jobId !== jobId) continue;
+    clearTimeout(retryTimers.get(retryId));
+    retryTimers.delete(retryId);
+    retryQueue.delete(retryId);
+    n++;
+  }
+  return n;
+}
+
+function closeStream(jobId, data) {
+  broadcast(jobId, data);
   (sseClients.get(jobId) || []).forEach(r => { try { r.end(); } catch (_) {} });
   sseClients.delete(jobId);
+}
 
-  await sendSMS(process.env.TWILIO_TO,
-    `✅ Sarah texted ${sent} leads for Rad Realty.\n${errors} failed.\nYou'll get an alert every time someone replies!`
-  );
+// Email report once every lead has a final outcome (call jobs only)
+async function maybeSendReport(jobId) {
+  const job = jobs.get(jobId);
+  const retrying = [...retryQueue.values()].some(e => e.info.jobId === jobId);
+  if (job && job.mode !== 'sms' && !job.testMode && !retrying && job.results.every(r => r.outcome || r.status === 'error')) {
+    await sendEmailReport(job.results, job.total, profileOf(jobId), variantReport(job));
+  }
 }
 
-// ─── Core: process job ────────────────────────────────────────────────────────
-async function processJob(jobId, leads, useProbe) {
+// ─── Job progress ─────────────────────────────────────────────────────────────
+const IN_FLIGHT = ['pending', 'queued', 'calling', 'sending'];
+
+function progressOf(jobId) {
+  const job = jobs.get(jobId);
+  const progress = { current: job.results.filter(r => !IN_FLIGHT.includes(r.status)).length, total: job.results.length };
+  return job.mode === 'sms' ? progress : { ...progress, concurrency: concurrencyOf(jobId) };
+}
+
+// Persist a lead's result and push it to any open dashboard tabs
+function pushUpdate(jobId, i) {
   const job = jobs.get(jobId);
   if (!job) return;
-  job.status = 'running';
+  jobs.save(jobId);
+  broadcast(jobId, { type: 'update', index: i, result: job.results[i], progress: progressOf(jobId) });
+}
+
+// ─── Pre-contact checks ───────────────────────────────────────────────────────
+// The lead as its result row starts out: full name and formatted phone
+function leadBase(lead) {
+  lead.name = [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.name || '';
+  return { ...lead, phone: formatPhone(lead.phone) };
+}
+
+// Returns true when the lead may be called/texted right now. Otherwise records
+// why not — suppressed, contacted recently by another job, or queued until its
+// local contact window opens.
+function clearToContact(jobId, i, base) {
+  const job = jobs.get(jobId);
+  const contactedAt = recentContact(job, jobId, base.phone);
+  if (isSuppressed(base.phone)) {
+    job.results[i] = { ...base, status: 'suppressed', outcome: 'suppressed' };
+  } else if (contactedAt) {
+    job.results[i] = { ...base, status: 'skipped', outcome: 'skipped', lastContactAt: contactedAt };
+  } else {
+    const openAt = nextContactTime(job, base);
+    if (openAt && openAt <= Date.now()) return true;
+    job.results[i] = openAt
+      ? { ...base, status: 'queued', scheduledFor: openAt.toISOString() }
+      : { ...base, status: 'error', outcome: 'error', error: 'Contact window never opens' };
+  }
+  pushUpdate(jobId, i);
+  return false;
+}
 
-  // Optional probe text filter
-  let callLeads = leads;
-  if (useProbe) {
-    broadcast(jobId, { type: 'probe', message: `Sending probe texts to ${leads.length} numbers...` });
-    callLeads = await probeAndFilter(leads);
-    broadcast(jobId, { type: 'probe_done', valid: callLeads.length, dropped: leads.length - callLeads.length });
+// Parks the job until the earliest queued lead's window opens. Returns false
+// when nothing is queued (or the job is gone) so the caller can finish up.
+async function waitForWindow(jobId) {
+  const job    = jobs.get(jobId);
+  const queued = (job?.results || []).filter(r => r.status === 'queued');
+  if (!queued.length) return false;
+
+  const until = Math.min(...queued.map(r => new Date(r.scheduledFor).getTime()));
+  setRunState(job, 'waiting');
+  jobs.save(jobId);
+  broadcast(jobId, { type: 'waiting', queued: queued.length, until: new Date(until).toISOString(), progress: progressOf(jobId) });
+  console.log(`  🕘 Job ${jobId.slice(0, 8)}: ${queued.length} leads queued until ${new Date(until).toISOString()}`);
+
+  while (Date.now() < until) {
+    if (!(await checkpoint(jobId))) return false;
+    await sleep(Math.min(until - Date.now(), 1000));
   }
+  if (!(await checkpoint(jobId))) return false;
+  setRunState(job, 'running');
+  jobs.save(jobId);
+  broadcast(jobId, { type: 'resumed', progress: progressOf(jobId) });
+  return true;
+}
+
+// ─── Core: process SMS blast job ─────────────────────────────────────────────
+async function processSMSJob(jobId, leads) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+  activeJobs.add(jobId);
+  setRunState(job, 'running');
+  jobs.save(jobId);
 
-  for (let i = 0; i < callLeads.length; i++) {
-    if (!jobs.has(jobId)) break;
+  const profile  = profileOf(jobId);
+  const template = job.messageTemplate || profile.templates.sms;
 
-    const lead     = callLeads[i];
-    const leadName = [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.name || '';
-    lead.name      = leadName;
+  do {
+    for (let i = 0; i < leads.length; i++) {
+      if (!(await checkpoint(jobId))) break;
+      if (!['pending', 'queued'].includes(job.results[i]?.status)) continue; // done, or handled before a restart
 
-    job.results[i] = { ...lead, name: leadName, status: 'calling' };
-    broadcast(jobId, { type: 'update', index: i, result: job.results[i], progress: { current: i, total: callLeads.length } });
+      const lead     = leads[i];
+      const phone    = formatPhone(lead.phone);
+      const leadName = [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.name || '';
+      lead.name      = leadName;
 
-    try {
-      const callId = await initiateCall(lead);
-      job.results[i] = { ...lead, name: leadName, status: 'initiated', callId, phone: formatPhone(lead.phone) };
-      callIndex.set(callId, { jobId, leadIndex: i, lead: { ...lead, name: leadName }, retries: 0 });
-    } catch (err) {
-      const errMsg = err.response?.data?.message || err.response?.data?.error || err.message;
-      job.results[i] = { ...lead, name: leadName, status: 'error', error: errMsg, phone: formatPhone(lead.phone) };
+      const base = { ...lead, name: leadName, phone };
+      if (!clearToContact(jobId, i, base)) continue;
+
+      job.results[i] = { ...base, status: 'sending' };
+      pushUpdate(jobId, i);
+
+      try {
+        const body = render(variantOf(jobId, lead)?.messageTemplate || template, lead, brandVars(profile));
+        await textLead(phone, body, { jobId, leadIndex: i });
+
+        job.results[i] = { ...base, status: 'sent', sentAt: new Date().toISOString(), outcome: 'sent' };
+      } catch (err) {
+        job.results[i] = { ...base, status: 'error', error: err.message, outcome: 'error' };
+      }
+
+      pushUpdate(jobId, i);
+      if (i < leads.length - 1) await sleep(parseInt(process.env.CALL_DELAY_MS || '1500'));
     }
+  } while (await waitForWindow(jobId));
 
-    broadcast(jobId, { type: 'update', index: i, result: job.results[i], progress: { current: i + 1, total: callLeads.length } });
-    if (i < callLeads.length - 1) await sleep(parseInt(process.env.CALL_DELAY_MS || '1500'));
-  }
+  activeJobs.delete(jobId);
+  const cancelled = job.status === 'cancelled';
+  if (!cancelled) job.status = 'complete';
+  jobs.save(jobId);
+  const sent   = job.results.filter(r => r.status === 'sent').length;
+  const errors = job.results.filter(r => r.status === 'error').length;
+  const skipped = job.results.filter(r => r.status === 'suppressed').length;
+  closeStream(jobId, { type: 'complete', sent, errors, suppressed: skipped, cancelled, total: leads.length });
+
+  await sendAlert(cancelled
+    ? `⏹ Text campaign cancelled after ${sent} of ${leads.length} leads.\nYou'll still get an alert if any of them reply.`
+    : `✅ ${profile.agentName} texted ${sent} leads for ${profile.brandName}.\n${errors} failed${skipped ? `, ${skipped} suppressed (DNC)` : ''}.\nYou'll get an alert every time someone replies!`,
+    jobId
+  );
+}
+
+// ─── Core: process job ────────────────────────────────────────────────────────
+async function processJob(jobId, leads, useProbe) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+  activeJobs.add(jobId);
+  setRunState(job, 'running');
+  jobs.save(jobId);
+
+  const callLeads = leads;
+  if (job.research) await researchLeads(jobId, callLeads);
+
+  do {
+    // Optional probe text filter, for the leads whose window is open this pass
+    if (useProbe) await probePass(jobId, callLeads);
+    for (let i = 0; i < callLeads.length; i++) {
+      if (!(await checkpoint(jobId))) break;
+      if (!['pending', 'queued'].includes(job.results[i]?.status)) continue; // done, or handled before a restart
+      if (!(await waitForSlot(jobId))) break;
+
+      const lead     = callLeads[i];
+      const base     = { ...leadBase(lead), ...(job.results[i].probe && { probe: job.results[i].probe }) };
+      const leadName = lead.name;
+      if (!clearToContact(jobId, i, base)) continue;
+
+      job.results[i] = { ...base, status: 'calling' };
+      pushUpdate(jobId, i);
+
+      try {
+        const callId   = await dialWithBackoff(jobId, lead);
+        const dialedAt = markCallStarted(callId, jobId);
+        job.results[i] = { ...base, status: 'initiated', callId, attempts: [{ attempt: 1, channel: 'call', callId, dialedAt: new Date(dialedAt).toISOString() }] };
+        callIndex.set(callId, { jobId, leadIndex: i, lead: { ...lead, name: leadName }, attempt: 1, dialedAt, endedAt: null });
+      } catch (err) {
+        const errMsg = err.response?.data?.message || err.response?.data?.error || err.message;
+        job.results[i] = { ...base, status: 'error', error: errMsg };
+      }
+
+      pushUpdate(jobId, i);
+      if (i < callLeads.length - 1) await sleep(parseInt(process.env.CALL_DELAY_MS || '1500'));
+    }
+  } while (await waitForWindow(jobId));
 
-  job.status = 'complete';
+  activeJobs.delete(jobId);
+  const cancelled = job.status === 'cancelled';
+  if (!cancelled) job.status = 'complete';
+  jobs.save(jobId);
   const initiated = job.results.filter(r => r.status === 'initiated').length;
   const errors    = job.results.filter(r => r.status === 'error').length;
-  broadcast(jobId, { type: 'complete', initiated, errors, total: callLeads.length });
-  (sseClients.get(jobId) || []).forEach(r => { try { r.end(); } catch (_) {} });
-  sseClients.delete(jobId);
-
-  await sendSMS(process.env.TWILIO_TO,
-    `✅ Sarah finished calling ${callLeads.length} leads for Rad Realty.\n${initiated} calls initiated, ${errors} errors.\nCheck your dashboard for hot leads!`
+  const skipped   = job.results.filter(r => r.status === 'suppressed').length;
+  closeStream(jobId, { type: 'complete', initiated, errors, suppressed: skipped, cancelled, total: callLeads.length });
+
+  if (cancelled) await maybeSendReport(jobId);
+  const profile   = profileOf(jobId);
+  await sendAlert(cancelled
+    ? `⏹ Call campaign cancelled after ${initiated} of ${callLeads.length} leads.\nA partial report will follow once the live calls finish.`
+    : `✅ ${profile.agentName} finished calling ${callLeads.length} leads for ${profile.brandName}.\n${initiated} calls initiated, ${errors} errors${skipped ? `, ${skipped} suppressed (DNC)` : ''}.\nCheck your dashboard for hot leads!`,
+    jobId
   );
 }
 
+// ─── POST /api/import ─────────────────────────────────────────────────────────
+// Lead lists as a CSV, TSV, XLSX or VCF upload (field "file", optional "sheet"
+// name or number for workbooks), or a pasted table as JSON { text }. Returns
+// { format, cols, rows, phoneOnly, mapping, sheets?, sheet? } for the mapping screen.
+app.post('/api/import', adminOnly, upload.single('file'), async (req, res) => {
+  const { text, sheet } = req.body;
+  if (!req.file && !String(text || '').trim()) return res.status(400).json({ error: 'Upload a file or paste a table.' });
+  try {
+    const result = req.file
+      ? await parseImport(req.file.buffer, req.file.originalname, { sheet })
+      : await parseImport(Buffer.from(String(text)), 'pasted.txt');
+    res.json({ ...result, fileName: req.file?.originalname || 'Pasted table', total: result.rows.length });
+  } catch (e) {
+    if (e instanceof ImportError) return res.status(400).json({ error: e.message });
+    res.status(500).json({ error: 'Failed to read the list: ' + e.message });
+  }
+});
+
 // ─── POST /api/parse-pdf ──────────────────────────────────────────────────────
-app.post('/api/parse-pdf', upload.single('pdf'), async (req, res) => {
+app.post('/api/parse-pdf', adminOnly, upload.single('pdf'), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
   try {
-    const pdfParse = require('pdf-parse');
-    const data     = await pdfParse(req.file.buffer);
-    const text     = data.text;
-
-    // Extract all phone-number-like strings
-    const phoneRegex = /(\+?1?\s?[\-.]?)?\(?\d{3}\)?[\s.\-]?\d{3}[\s.\-]?\d{4}/g;
-    const raw = text.match(phoneRegex) || [];
-    const phones = [...new Set(
-      raw.map(p => p.replace(/\D/g, '')).filter(d => d.length >= 10).map(d => d.slice(-10))
-    )];
-
-    res.json({ phones, total: phones.length, pages: data.numpages });
+    const { text, pages } = await readPdf(req.file.buffer);
+    const result = extractLeads(text);
+    res.json({ format: 'pdf', ...result, fileName: req.file.originalname, total: result.rows.length, pages });
   } catch (e) {
     res.status(500).json({ error: 'Failed to parse PDF: ' + e.message });
   }
 });
 
-// ─── POST /api/launch ────────────────────────────────────────────────────────
-app.post('/api/launch', (req, res) => {
-  const { rows, mapping, limit, useProbe = false, mode = 'call', messageTemplate } = req.body;
-  if (!rows?.length || !mapping) return res.status(400).json({ error: 'Missing rows or mapping.' });
-
-  if (mode === 'call') {
-    const missing = ['VAPI_API_KEY','VAPI_ASSISTANT_ID','VAPI_PHONE_NUMBER_ID'].find(k => !process.env[k]);
-    if (missing) return res.status(500).json({ error: `${missing} not configured.` });
-  }
-  if (!process.env.TWILIO_ACCOUNT_SID) return res.status(500).json({ error: 'TWILIO_ACCOUNT_SID not configured.' });
+// ─── Launching jobs ───────────────────────────────────────────────────────────
+// Shared by POST /api/launch and the campaign scheduler.
+function missingConfig(mode, testMode = false, profile = profileById(null)) {
+  if (testMode) return null; // the simulator needs no credentials
+  return (mode === 'call' && vapi.missing(profile)) || twilio.missing();
+}
 
-  // No hard limit — use what the user specifies, or all leads
-  const cap = limit ? parseInt(limit) : rows.length;
+const NUMBER_PLAN = loadNumberPlan();
 
-  const leads = rows.slice(0, cap).map(row => ({
+// Maps rows to leads, then drops invalid and duplicate numbers — the report
+// says which rows went and why. `limit` caps the valid leads, not the rows.
+function prepareLeads(rows, mapping, limit) {
+  const mapped = rows.map((row, i) => ({
     firstName:     String(row[mapping.firstName]     || '').trim(),
     lastName:      String(row[mapping.lastName]      || '').trim(),
     phone:         String(row[mapping.phone]         || '').trim(),
     streetName:    String(row[mapping.streetName]    || '').trim(),
     city:          String(row[mapping.city]          || '').trim(),
     propertyValue: String(row[mapping.propertyValue] || '').trim(),
-  })).filter(l => l.phone);
+    row:           i + 1,
+  }));
+  const { leads, report } = validateLeads(mapped, NUMBER_PLAN);
 
-  if (!leads.length) {
-    const sample = rows[0] || {};
-    return res.status(400).json({
-      error: `No leads with phone numbers found. Phone column: "${mapping.phone}", sample value: "${sample[mapping.phone] || 'empty'}"`
-    });
+  // No hard limit — use what the user specifies, or all leads
+  const cap = limit ? parseInt(limit) : leads.length;
+  return {
+    leads: leads.slice(0, cap).map(l => {
+      const { timeZone, source } = leadTimeZone(l);
+      return { ...l, timeZone, timeZoneSource: source };
+    }),
+    report,
+  };
+}
+
+// First template in a launch/schedule body that won't parse, or null
+function templateProblem(body) {
+  const templates = [body.messageTemplate, body.probeTemplate, body.retryPolicy?.smsFallback?.template, ...(Array.isArray(body.steps) ? body.steps.map(s => s?.messageTemplate) : [])];
+  for (const template of templates.filter(Boolean)) {
+    try {
+      renderTemplate(template);
+    } catch (err) {
+      if (err instanceof TemplateError) return `Template error: ${err.message}`;
+      throw err;
+    }
   }
+  return null;
+}
 
+// The report for API responses — row lists capped so a huge bad list stays small
+function validationSummary(report, leads, skipContactedDays) {
+  const days = parseFloat(skipContactedDays) || 0;
+  return {
+    ...report,
+    invalid:        report.invalid.slice(0, 100),
+    duplicates:     report.duplicates.slice(0, 100),
+    invalidCount:   report.invalid.length,
+    duplicateCount: report.duplicates.length,
+    suppressed:     leads.filter(l => isSuppressed(l.phone)).length,
+    ...(days > 0 && { recentlyContacted: leads.filter(l => recentContact({ skipContactedDays: days }, null, formatPhone(l.phone))).length }),
+  };
+}
+
+function noLeadsError(rows, mapping, report) {
+  const sample  = rows[0] || {};
+  const reasons = Object.entries(report.reasons).map(([k, n]) => `${n} ${INVALID_PHONE[k].toLowerCase()}`).join(', ');
+  return `No valid phone numbers found${reasons ? ` (${reasons})` : ''}. Phone column: "${mapping.phone}", sample value: "${sample[mapping.phone] || 'empty'}"`;
+}
+
+// contactWindow: false disables calling-hours checks, an object overrides days
+// skipContactedDays leaves out leads another job reached within that many days
+// profileId picks the brand profile; the job keeps a copy of it
+// variants: leads that already carry one of the variant ids (schedule leads) keep it
+function createJob({ mode = 'call', leads, useProbe = false, messageTemplate, probeTemplate, contactWindow, maxConcurrent, retryPolicy, autoReply, research, testMode, skipContactedDays, profileId, variants }, extra = {}) {
   const jobId = uuidv4();
+  const split = cleanVariants(variants);
+  if (split) leads.forEach(l => { if (!split.some(v => v.id === l.variant)) l.variant = assignVariant(split); });
   jobs.set(jobId, {
-    status: 'pending', total: leads.length, mode,
+    status: 'pending', total: leads.length, mode, useProbe: !!useProbe,
+    contactWindow: resolveWindow(contactWindow),
+    maxConcurrent: Math.max(1, parseInt(maxConcurrent) || MAX_CONCURRENT_CALLS),
+    retryPolicy:   resolveRetryPolicy(retryPolicy),
     messageTemplate: messageTemplate || null,
+    probeTemplate: probeTemplate || null,
+    autoReply:     mode === 'sms' ? resolveAutoReply(autoReply) : null,
+    research:      mode === 'call' && !!research,
+    testMode:      !!testMode,
+    skipContactedDays: Math.max(0, parseFloat(skipContactedDays) || 0) || null,
+    profileId:     profiles.has(profileId) ? profileId : null,
+    profile:       profileById(profiles.has(profileId) ? profileId : null),
+    variants:      split,
+    leads,
     results: leads.map(l => ({ ...l, status: 'pending' })),
-    createdAt: new Date().toISOString()
+    createdAt: new Date().toISOString(),
+    ...extra
+  });
+  leads.forEach(l => recordLead(l, jobId, mode));
+  return jobId;
+}
+
+function startJob(jobId) {
+  const job = jobs.get(jobId);
+  if (job.mode === 'sms') processSMSJob(jobId, job.leads);
+  else processJob(jobId, job.leads, job.useProbe);
+}
+
+// ─── Campaign schedules ───────────────────────────────────────────────────────
+// A schedule holds a lead list and its steps — a call or a text `day` days
+// after startAt (fractions allowed). When a step comes due it is launched as an
+// ordinary job; leads that replied, went hot or declined during an earlier step
+// are left out (stopOn). `repeat` reruns the steps every `everyDays` days,
+// `times` cycles in total. The scheduler checks every 30s.
+// A/B variants are drawn once per schedule lead, so a lead stays in the same
+// variant for every step. A variant's messageTemplate stands in for the
+// schedule's own template — steps with a template of their own keep it.
+const DAY_MS  = 24 * 60 * 60 * 1000;
+const STOP_ON = ['reply', 'hot', 'not-interested'];
+
+function resolveSteps(input) {
+  if (!Array.isArray(input) || !input.length) throw new Error('At least one step is required.');
+  return input.map(s => {
+    const day = Number(s.day ?? 0);
+    if (!['call', 'sms'].includes(s.mode)) throw new Error(`Unknown step mode "${s.mode}" — use call or sms.`);
+    if (!Number.isFinite(day) || day < 0) throw new Error('Step days must be 0 or more.');
+    return { mode: s.mode, day, ...(s.messageTemplate && { messageTemplate: String(s.messageTemplate) }) };
+  }).sort((a, b) => a.day - b.day);
+}
+
+function resolveRepeat(input, steps) {
+  if (!input) return null;
+  const everyDays = Number(input.everyDays);
+  const times     = parseInt(input.times);
+  if (!(everyDays > steps[steps.length - 1].day)) throw new Error('repeat.everyDays must be longer than the last step\'s day.');
+  if (!(times >= 2 && times <= 52)) throw new Error('repeat.times must be between 2 and 52.');
+  return { everyDays, times };
+}
+
+// Validates and applies editable fields; throws on bad input
+function applyScheduleFields(s, body) {
+  if (s.options.profileId && !profiles.has(s.options.profileId)) throw new Error('Unknown brand profile.');
+  if (s.options.variants !== undefined) s.options.variants = cleanVariants(s.options.variants);
+  if (body.name !== undefined) s.name = String(body.name || '').trim() || s.name;
+  if (body.startAt !== undefined) {
+    const at = parseLocalDateTime(body.startAt, body.timeZone || process.env.DEFAULT_TIMEZONE || 'America/Los_Angeles');
+    if (!at) throw new Error(`Can't read startAt "${body.startAt}" — use YYYY-MM-DDTHH:MM.`);
+    s.startAt = at.toISOString();
+  }
+  if (body.steps !== undefined) {
+    // New steps on or before the day of the last one run this cycle count as done
+    const ranDay = s.nextStep ? s.steps[s.nextStep - 1].day : -1;
+    s.steps    = resolveSteps(body.steps);
+    s.nextStep = s.steps.filter(step => step.day <= ranDay).length;
+    const missing = s.steps.map(step => missingConfig(step.mode, s.options.testMode, profileById(s.options.profileId))).find(Boolean);
+    if (missing) throw new Error(`${missing} not configured.`);
+  }
+  if (body.steps !== undefined || body.repeat !== undefined) s.repeat = resolveRepeat(body.repeat === undefined ? s.repeat : body.repeat, s.steps);
+  if (body.stopOn !== undefined) {
+    const stopOn = Array.isArray(body.stopOn) ? body.stopOn : String(body.stopOn).split(',');
+    s.stopOn = stopOn.map(v => String(v).trim()).filter(v => STOP_ON.includes(v));
+  }
+}
+
+function assignScheduleVariants(s) {
+  const split = s.options.variants;
+  s.leads.forEach(l => {
+    if (!split) delete l.variant;
+    else if (!split.some(v => v.id === l.variant)) l.variant = assignVariant(split);
   });
+}
 
-  if (mode === 'sms') {
-    processSMSJob(jobId, leads);
+const stepDueAt = (s, cycle, index) => new Date(s.startAt).getTime() + ((s.repeat ? cycle * s.repeat.everyDays : 0) + s.steps[index].day) * DAY_MS;
+
+// Points the schedule at its next step, or marks it complete
+function planNext(s) {
+  if (s.nextStep >= s.steps.length && s.repeat && s.cycle + 1 < s.repeat.times) {
+    s.cycle++;
+    s.nextStep = 0;
+  }
+  if (s.nextStep >= s.steps.length) {
+    s.nextRunAt = null;
+    if (['scheduled', 'running'].includes(s.status)) s.status = 'complete';
   } else {
-    processJob(jobId, leads, useProbe);
+    s.nextRunAt = stepDueAt(s, s.cycle, s.nextStep);
+  }
+}
+
+// Why a lead is skipped for the rest of the schedule, or null
+function stopReason(s, phone) {
+  const since = s.runs[0]?.startedAt;
+  if (!since) return null;
+  if (s.stopOn.includes('reply') && (conversations.get(phone) || []).some(m => m.direction === 'in' && m.timestamp >= since && !!m.test === !!s.options.testMode)) return 'replied';
+  for (const run of s.runs) {
+    const r = jobs.get(run.jobId)?.results.find(r => r.phone === phone);
+    if (!r) continue;
+    if (s.stopOn.includes('hot') && (r.outcome === 'hot' || r.appointmentId)) return 'hot';
+    if (s.stopOn.includes('not-interested') && r.outcome === 'not-interested') return 'not-interested';
+  }
+  return null;
+}
+
+function runScheduleStep(id) {
+  const s    = schedules.get(id);
+  const step = s.steps[s.nextStep];
+  const run  = { step: s.nextStep, cycle: s.cycle, mode: step.mode, startedAt: new Date().toISOString(), leads: 0, skipped: {} };
+
+  const leads = s.leads.filter(l => {
+    const why = stopReason(s, formatPhone(l.phone));
+    if (why) run.skipped[why] = (run.skipped[why] || 0) + 1;
+    return !why;
+  }).map(l => ({ ...l }));
+  run.leads = leads.length;
+
+  const missing = missingConfig(step.mode, s.options.testMode, profileById(s.options.profileId));
+  if (missing) run.error = `${missing} not configured.`;
+  else if (leads.length) {
+    const variants = step.messageTemplate ? s.options.variants?.map(({ messageTemplate, ...v }) => v) : s.options.variants;
+    run.jobId = createJob({ ...s.options, mode: step.mode, messageTemplate: step.messageTemplate || s.options.messageTemplate, variants, leads },
+      { launchedBy: s.createdBy, scheduleId: id, scheduleStep: s.nextStep });
+  }
+
+  s.runs.push(run);
+  s.status = 'running';
+  s.nextStep++;
+  planNext(s);
+  schedules.save(id); // saved before the job starts so a crash can't launch the step twice
+
+  const label = `"${s.name}" step ${run.step + 1}/${s.steps.length}${s.repeat ? `, cycle ${run.cycle + 1}/${s.repeat.times}` : ''}`;
+  if (run.error) console.log(`  ✗ Schedule ${label} not launched: ${run.error}`);
+  else if (!run.jobId) console.log(`  ⏭ Schedule ${label}: every lead stopped early — nothing to send`);
+  else {
+    console.log(`  🗓 Schedule ${label}: ${step.mode} job ${run.jobId.slice(0, 8)} for ${leads.length} leads`);
+    startJob(run.jobId);
+  }
+}
+
+function tickSchedules() {
+  for (const [id, s] of schedules) {
+    if (!['scheduled', 'running'].includes(s.status) || !s.nextRunAt || s.nextRunAt > Date.now()) continue;
+    // The previous step's results decide who is skipped — let it finish first
+    const prev = s.runs[s.runs.length - 1];
+    if (prev?.jobId && activeJobs.has(prev.jobId)) continue;
+    try { runScheduleStep(id); } catch (err) { console.log(`  ✗ Schedule ${id.slice(0, 8)} failed: ${err.message}`); }
+  }
+}
+
+function scheduleView(id) {
+  const { leads, ...s } = schedules.get(id);
+  return {
+    id, ...s,
+    leadCount: leads.length,
+    nextRunAt: s.nextRunAt ? new Date(s.nextRunAt).toISOString() : null,
+    runs:      s.runs.map(r => ({ ...r, jobStatus: jobs.get(r.jobId)?.status || null })),
+  };
+}
+
+// ─── POST /api/launch ────────────────────────────────────────────────────────
+app.post('/api/launch', adminOnly, (req, res) => {
+  const { rows, mapping, limit, mode = 'call' } = req.body;
+  if (!rows?.length || !mapping) return res.status(400).json({ error: 'Missing rows or mapping.' });
+
+  if (req.body.profileId && !profiles.has(req.body.profileId)) return res.status(400).json({ error: 'Unknown brand profile.' });
+  const missing = missingConfig(mode, req.body.testMode, profileById(req.body.profileId));
+  if (missing) return res.status(500).json({ error: `${missing} not configured.` });
+  if (req.body.research && mode === 'call' && !researchProvider()) return res.status(500).json({ error: 'Lead research is not configured — set RESEARCH_PROVIDER or PERPLEXITY_API_KEY.' });
+  const problem = templateProblem(req.body);
+  if (problem) return res.status(400).json({ error: problem });
+  try {
+    cleanVariants(req.body.variants);
+  } catch (e) {
+    if (e instanceof VariantError) return res.status(400).json({ error: e.message });
+    throw e;
   }
-  res.json({ jobId, total: leads.length, mode });
+
+  const { leads, report } = prepareLeads(rows, mapping, limit);
+  if (!leads.length) return res.status(400).json({ error: noLeadsError(rows, mapping, report), validation: validationSummary(report, leads) });
+
+  const jobId = createJob({ ...req.body, mode, leads }, { launchedBy: req.user.username });
+  startJob(jobId);
+  const job    = jobs.get(jobId);
+  const queued = leads.filter(l => nextContactTime(job, l) > Date.now()).length;
+  res.json({ jobId, total: leads.length, mode, suppressed: leads.filter(l => isSuppressed(l.phone)).length, queued, contactWindow: describeWindow(job.contactWindow), validation: validationSummary(report, leads, job.skipContactedDays) });
+});
+
+// ─── POST /api/leads/validate ─────────────────────────────────────────────────
+// Dry run of the launch mapping for the preview screen: which rows would be
+// contacted and which dropped as invalid or duplicate. Nothing is created.
+app.post('/api/leads/validate', (req, res) => {
+  const { rows, mapping } = req.body;
+  if (!rows?.length || !mapping) return res.status(400).json({ error: 'Missing rows or mapping.' });
+  const { leads, report } = prepareLeads(rows, mapping);
+  res.json(validationSummary(report, leads, req.body.skipContactedDays));
 });
 
+// ─── POST /api/templates/preview ─────────────────────────────────────────────
+// Renders a template for the first few leads (rows + mapping, as for launch)
+// so fields, fallbacks and spintax can be checked before anything is sent.
+const SAMPLE_LEAD = { firstName: 'Maria', lastName: 'Lopez', phone: '+13105550123', streetName: '123 Main St', city: 'Los Angeles', propertyValue: '$650,000' };
+
+app.post('/api/templates/preview', (req, res) => {
+  const { template, rows, mapping, count, profileId } = req.body;
+  if (!template) return res.status(400).json({ error: 'Missing template.' });
+
+  const n = Math.min(Math.max(parseInt(count) || 3, 1), 20);
+  const { leads, report } = rows?.length && mapping ? prepareLeads(rows, mapping, n) : { leads: [SAMPLE_LEAD] };
+  const unknown = new Set();
+  try {
+    const previews = leads.map(lead => {
+      const out = renderTemplate(template, lead, brandVars(profileById(profileId)));
+      out.unknown.forEach(u => unknown.add(u));
+      return { name: [lead.firstName, lead.lastName].filter(Boolean).join(' '), phone: lead.phone, text: out.text, ...smsSegments(out.text) };
+    });
+    res.json({
+      previews, unknown: [...unknown], sample: !rows?.length,
+      maxSegments: previews.length ? Math.max(...previews.map(p => p.segments)) : 0,
+      ...(!previews.length && { message: `No valid rows to preview. ${noLeadsError(rows, mapping, report)}` }),
+    });
+  } catch (err) {
+    if (!(err instanceof TemplateError)) throw err;
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─── Webhook authentication ───────────────────────────────────────────────────
+// On by default. WEBHOOK_AUTH=off skips verification for local testing with
+// curl or ngrok — never run a public deployment that way. The simulator's own
+// posts carry SIM_TOKEN and are flagged req.simulated.
+const WEBHOOK_AUTH = process.env.WEBHOOK_AUTH !== 'off';
+
+function requireWebhookAuth(source) {
+  const check = source === 'vapi'
+    ? req => checkVapi(req, process.env.VAPI_WEBHOOK_SECRET)
+    : req => checkTwilio(req, process.env.TWILIO_AUTH_TOKEN, process.env.SERVER_URL);
+  return (req, res, next) => {
+    const stats  = webhookStats.get(source) || { accepted: 0, rejected: 0 };
+    req.simulated = checkSimulator(req, SIM_TOKEN);
+    const reason = WEBHOOK_AUTH && !req.simulated ? check(req) : null;
+    if (reason) {
+      Object.assign(stats, { rejected: stats.rejected + 1, lastRejectedAt: new Date().toISOString(), lastReason: reason, lastIp: req.ip });
+      webhookStats.set(source, stats);
+      console.log(`  🔒 Rejected ${source} webhook from ${req.ip}: ${reason}`);
+      return res.status(403).send('Forbidden');
+    }
+    stats.accepted++;
+    webhookStats.set(source, stats);
+    next();
+  };
+}
+
 // ─── POST /api/webhook/vapi ───────────────────────────────────────────────────
-app.post('/api/webhook/vapi', async (req, res) => {
+app.post('/api/webhook/vapi', requireWebhookAuth('vapi'), async (req, res) => {
   res.sendStatus(200);
   const msg = req.body?.message;
+  if (msg?.type === 'status-update' && msg.status === 'ended') markCallEnded(msg.call?.id);
   if (!msg || msg.type !== 'end-of-call-report') return;
 
   const call    = msg.call;
   const callId  = call?.id;
   if (!callId) return;
+  markCallEnded(callId);
+  if (msg.analysis && !call.analysis) call.analysis = msg.analysis;
 
-  const outcome = classifyOutcome(call);
-  const summary = call.analysis?.summary || '';
+  const outcome    = classifyOutcome(call, OUTCOME_RULES);
+  const summary    = call.analysis?.summary || '';
+  const structured = structuredDataOf(call);
   const dur     = call.startedAt && call.endedAt
     ? Math.round((new Date(call.endedAt) - new Date(call.startedAt)) / 1000) + 's' : '—';
 
   console.log(`  📞 ${call.customer?.number} | ${outcome} | ${call.endedReason}`);
 
   const info = callIndex.get(callId);
+  archiveCall(call, info, { outcome, summary, duration: dur }, msg);
+  if (requestedDoNotCall(call)) suppress(call.customer?.number || info?.lead.phone, summary.substring(0, 200) || call.endedReason, 'call');
+
   if (info) {
     const job = jobs.get(info.jobId);
-    if (job?.results[info.leadIndex]) Object.assign(job.results[info.leadIndex], { outcome, summary, endedReason: call.endedReason, duration: dur });
+    const r   = job?.results[info.leadIndex];
+    if (r) {
+      const previousOutcome = r.attempts?.findLast(a => a.callId !== callId && a.outcome)?.outcome || null;
+      Object.assign(r, { outcome, summary, structured, endedReason: call.endedReason, duration: dur });
+      const attempt = (r.attempts || []).find(a => a.callId === callId);
+      if (attempt) Object.assign(attempt, { outcome, summary, endedReason: call.endedReason, duration: dur, endedAt: call.endedAt || new Date().toISOString() });
+      jobs.save(info.jobId);
+      touchLead(info.lead.phone, info.jobId, null, outcome);
+
+      const lead = leadPayload(info.jobId, info.leadIndex);
+      emitEvent('call.ended', { lead, callId, attempt: attemptOf(info), endedReason: call.endedReason, duration: dur, outcome, summary, structured }, !!job.testMode);
+      emitEvent('lead.outcome', { lead, channel: 'call', outcome, previousOutcome, summary, callId }, !!job.testMode);
+    }
 
     if (outcome === 'hot' && !smsSent.has(callId)) {
       smsSent.add(callId);
-      await sendHotLeadSMS(info.lead, summary, dur);
+      await sendHotLeadSMS(info.lead, summary, dur, structured, info.jobId);
+    }
+    if (structured?.appointmentTime) await bookAppointment(info, callId, structured, summary);
+    const policy = job?.retryPolicy || resolveRetryPolicy();
+    const why    = retryReason(call);
+    if (why && policy.retryOn.includes(why) && !isSuppressed(info.lead.phone) && job?.status !== 'cancelled') {
+      if (attemptOf(info) < policy.maxAttempts) scheduleRetry(info, 'call');
+      else if (policy.smsFallback) scheduleRetry(info, 'sms');
     }
-    if (outcome === 'no-answer' && info.retries < 1) scheduleRetry(info);
 
     // Check if all calls in the job are done → send email
-    const job2 = jobs.get(info.jobId);
-    if (job2 && job2.results.every(r => r.outcome || r.status === 'error')) {
-      await sendEmailReport(job2.results, job2.total);
-    }
+    await maybeSendReport(info.jobId);
   }
 });
 
 // ─── POST /api/webhook/sms — incoming replies from leads ─────────────────────
-app.post('/api/webhook/sms', (req, res) => {
+app.post('/api/webhook/sms', requireWebhookAuth('sms'), (req, res) => {
   // Respond immediately with empty TwiML so Twilio doesn't complain
   res.setHeader('Content-Type', 'text/xml');
   res.send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
@@ -490,33 +1874,61 @@ app.post('/api/webhook/sms', (req, res) => {
   if (!from || !body) return;
 
   const timestamp = new Date().toISOString();
+  const outcome   = classifyReply(body);
+  const optedOut  = isOptOut(body);
+  const info      = threadJob(from, !!req.simulated);
   if (!conversations.has(from)) conversations.set(from, []);
-  conversations.get(from).push({ direction: 'in', body, timestamp });
+  conversations.get(from).push({ direction: 'in', body, timestamp, outcome, ...(info && { jobId: info.jobId }), ...(req.simulated && { test: true }) });
+  conversations.save(from);
+  touchLead(from, info?.jobId, 'reply', outcome);
 
-  const outcome = classifyReply(body);
+  if (optedOut) suppress(from, body, 'sms');
   const emojiMap = { hot: '🔥', warm: '⚡', 'not-interested': '🚫', replied: '💬' };
 
   // Update job result
-  const info = phoneToJob.get(from);
   let leadName = from;
   if (info) {
     const job = jobs.get(info.jobId);
     if (job?.results[info.leadIndex]) {
       const r = job.results[info.leadIndex];
+      const previousOutcome = r.outcome || null;
       leadName      = r.name || from;
       r.replied     = true;
       r.lastReply   = body;
       r.repliedAt   = timestamp;
       r.outcome     = outcome;
+      if (optedOut) r.optedOut = true;
+      jobs.save(info.jobId);
       // Push live update to any open dashboard tabs
       broadcast(info.jobId, { type: 'reply', index: info.leadIndex, result: r });
+      emitEvent('lead.outcome', { lead: leadPayload(info.jobId, info.leadIndex), channel: 'sms', outcome, previousOutcome, reply: body }, !!req.simulated);
     }
   }
+  emitEvent('sms.received', { lead: info ? leadPayload(info.jobId, info.leadIndex) : null, from, body, outcome, optedOut, receivedAt: timestamp }, !!req.simulated);
 
-  // Alert Omar
-  sendSMS(process.env.TWILIO_TO,
-    `${emojiMap[outcome] || '💬'} Reply from ${leadName}\n📞 ${from}\n\n"${body}"\n\nLog in to see the full dashboard!`
+  // Alert the team (through the simulator only for simulated replies)
+  sendAlert(
+    `${emojiMap[outcome] || '💬'} Reply from ${leadName}\n📞 ${from}\n\n"${body}"\n\n${optedOut ? '⛔ Opted out — added to the Do-Not-Call list.\n\n' : ''}Log in to see the full dashboard!`,
+    info?.jobId, profileOf(info?.jobId), !!req.simulated
   );
+
+  if (info && !optedOut) autoRespond(from, info);
+});
+
+// ─── POST /api/webhook/sms/status — Twilio delivery status callbacks ─────────
+// Callbacks can arrive out of order; a final status never goes back to "sent".
+const FINAL_SMS_STATUS = ['delivered', 'undelivered', 'failed'];
+
+app.post('/api/webhook/sms/status', requireWebhookAuth('sms'), (req, res) => {
+  res.sendStatus(204);
+  const { MessageSid: sid, MessageStatus: status, ErrorCode: errorCode } = req.body || {};
+  const phone = sid && smsIndex.get(sid);
+  const msg   = phone && (conversations.get(phone) || []).findLast(m => m.sid === sid);
+  if (!msg || !status || FINAL_SMS_STATUS.includes(msg.status)) return;
+  Object.assign(msg, { status, statusAt: new Date().toISOString(), ...(errorCode && { errorCode }) });
+  conversations.save(phone);
+  if (FINAL_SMS_STATUS.includes(status)) smsIndex.delete(sid);
+  if (status !== 'delivered' && FINAL_SMS_STATUS.includes(status)) console.log(`  ✗ Text to ${phone} ${status}${errorCode ? ` (error ${errorCode})` : ''}`);
 });
 
 // ─── GET /api/conversations/:jobId ───────────────────────────────────────────
@@ -526,10 +1938,102 @@ app.get('/api/conversations/:jobId', (req, res) => {
 
   const data = job.results.map(r => ({
     ...r,
-    thread: conversations.get(r.phone) || []
+    thread:  threadFor(r.phone, req.params.jobId),
+    handoff: handoffs.get(r.phone) || null
   }));
 
-  res.json({ conversations: data, mode: job.mode, fetchedAt: new Date().toISOString() });
+  res.json({ conversations: data, mode: job.mode, autoReply: !!job.autoReply, variants: variantReport(job), fetchedAt: new Date().toISOString() });
+});
+
+// ─── Inbox: every thread across jobs ─────────────────────────────────────────
+// Sorted by latest inbound reply (threads nobody answered last); ?replied=1
+// leaves those out. Unread = inbound messages since the thread was last read.
+function threadSummary(phone) {
+  const thread  = conversations.get(phone) || [];
+  const inbound = thread.filter(m => m.direction === 'in');
+  const readAt  = inboxReads.get(phone) || '';
+  const info    = threadJob(phone);
+  const r       = info && jobs.get(info.jobId)?.results[info.leadIndex];
+  return {
+    phone,
+    name:          r?.name || '',
+    jobId:         info?.jobId || null,
+    outcome:       r?.outcome || null,
+    messages:      thread.length,
+    unread:        inbound.filter(m => m.timestamp > readAt).length,
+    lastInboundAt: inbound[inbound.length - 1]?.timestamp || null,
+    lastMessage:   thread[thread.length - 1] || null,
+    handoff:       handoffs.get(phone) || null,
+    suppressed:    isSuppressed(phone),
+  };
+}
+
+app.get('/api/inbox', (req, res) => {
+  const threads = [...conversations.keys()].map(threadSummary)
+    .filter(t => !req.query.replied || t.lastInboundAt)
+    .sort((a, b) => (b.lastInboundAt || '').localeCompare(a.lastInboundAt || '')
+      || (b.lastMessage?.timestamp || '').localeCompare(a.lastMessage?.timestamp || ''));
+  res.json({ threads, unread: threads.reduce((n, t) => n + t.unread, 0), fetchedAt: new Date().toISOString() });
+});
+
+app.get('/api/conversations/:phone/messages', (req, res) => {
+  const phone = formatPhone(req.params.phone);
+  if (!conversations.has(phone)) return res.status(404).json({ error: 'No conversation with that number' });
+  res.json({ ...threadSummary(phone), thread: conversations.get(phone) });
+});
+
+app.post('/api/conversations/:phone/read', (req, res) => {
+  const phone = formatPhone(req.params.phone);
+  if (!conversations.has(phone)) return res.status(404).json({ error: 'No conversation with that number' });
+  inboxReads.set(phone, new Date().toISOString());
+  res.json({ phone, unread: 0 });
+});
+
+// ─── POST /api/conversations/:phone/messages — text a lead by hand ───────────
+// A person replying takes the thread over from the auto-responder.
+app.post('/api/conversations/:phone/messages', adminOnly, async (req, res) => {
+  const phone = formatPhone(req.params.phone);
+  const body  = String(req.body?.body || '').trim();
+  if (phone.length !== 12) return res.status(400).json({ error: 'A valid phone number is required.' });
+  if (!body) return res.status(400).json({ error: 'Message body is required.' });
+  if (body.length > 1600) return res.status(400).json({ error: 'Message is too long (1600 characters max).' });
+  if (isSuppressed(phone)) return res.status(409).json({ error: 'That number is on the Do-Not-Call list.' });
+  const info = threadJob(phone);
+  if (providersFor(jobs.get(info?.jobId)).sms.missing()) return res.status(503).json({ error: 'Twilio is not configured.' });
+
+  try {
+    await textLead(phone, body, { ...info, sentBy: req.user.username });
+  } catch (e) {
+    return res.status(502).json({ error: `Twilio: ${e.message}` });
+  }
+  inboxReads.set(phone, new Date().toISOString());
+  if (info && jobs.get(info.jobId)?.autoReply && !handoffs.has(phone)) handOff(phone, info, 'replied by hand', req.user.username);
+  console.log(`  💬 ${req.user.username} texted ${phone}`);
+  const thread = conversations.get(phone);
+  res.json({ message: thread[thread.length - 1], thread: threadSummary(phone) });
+});
+
+// ─── POST /api/threads/:phone/takeover|resume ────────────────────────────────
+// takeover pauses the auto-responder for one lead's thread; resume hands it back
+app.post('/api/threads/:phone/:action(takeover|resume)', adminOnly, (req, res) => {
+  const phone = formatPhone(req.params.phone);
+  const info  = threadJob(phone);
+  if (!info) return res.status(404).json({ error: 'No conversation with that number' });
+
+  if (req.params.action === 'takeover') {
+    handOff(phone, info, req.body?.reason || 'taken over from the dashboard', req.user.username);
+  } else {
+    handoffs.delete(phone);
+    const job = jobs.get(info.jobId);
+    const r   = job?.results[info.leadIndex];
+    if (r) {
+      delete r.handoff;
+      jobs.save(info.jobId);
+      broadcast(info.jobId, { type: 'reply', index: info.leadIndex, result: r });
+    }
+    console.log(`  🤖 Auto-replies resumed for ${phone} by ${req.user.username}`);
+  }
+  res.json({ phone, handoff: handoffs.get(phone) || null });
 });
 
 // ─── GET /api/job/:jobId/stream ───────────────────────────────────────────────
@@ -549,8 +2053,8 @@ app.get('/api/job/:jobId/stream', (req, res) => {
   sseClients.get(req.params.jobId).push(res);
   res.write(`data: ${JSON.stringify({ type: 'init', job })}\n\n`);
 
-  if (job.status === 'complete') {
-    res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
+  if (job.status === 'complete' || (job.status === 'cancelled' && !activeJobs.has(req.params.jobId))) {
+    res.write(`data: ${JSON.stringify({ type: 'complete', cancelled: job.status === 'cancelled' })}\n\n`);
     res.end(); return;
   }
 
@@ -562,6 +2066,53 @@ app.get('/api/job/:jobId/stream', (req, res) => {
   });
 });
 
+// ─── POST /api/job/:jobId/pause|resume|cancel ────────────────────────────────
+app.post('/api/job/:jobId/:action(pause|resume|cancel)', adminOnly, async (req, res) => {
+  const { jobId, action } = req.params;
+  const job = jobs.get(jobId);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  const now = new Date().toISOString();
+  let retriesCancelled = 0;
+  if (action === 'pause') {
+    if (!['pending', 'running', 'waiting'].includes(job.status)) return res.status(409).json({ error: `Cannot pause a ${job.status} job.` });
+    Object.assign(job, { pausedFrom: job.status, status: 'paused', pausedAt: now });
+  } else if (action === 'resume') {
+    if (job.status !== 'paused') return res.status(409).json({ error: `Job is ${job.status}, not paused.` });
+    job.status = job.pausedFrom || 'running';
+    delete job.pausedFrom; delete job.pausedAt;
+  } else {
+    if (job.status === 'cancelled') return res.status(409).json({ error: 'Job is already cancelled.' });
+    Object.assign(job, { status: 'cancelled', cancelledAt: now });
+    delete job.pausedFrom; delete job.pausedAt;
+    job.results.forEach(r => {
+      if (['pending', 'queued'].includes(r.status)) Object.assign(r, { status: 'cancelled', outcome: 'cancelled' });
+    });
+    retriesCancelled = cancelRetries(jobId);
+  }
+  jobs.save(jobId);
+  broadcast(jobId, { type: 'state', status: job.status, progress: progressOf(jobId) });
+  console.log(`  ${{ pause: '⏸', resume: '▶', cancel: '⏹' }[action]} Job ${jobId.slice(0, 8)} ${job.status}${retriesCancelled ? ` (${retriesCancelled} retries dropped)` : ''}`);
+
+  // No loop left to wind the job down (dialing had already finished) — do it here
+  if (action === 'cancel' && !activeJobs.has(jobId)) {
+    closeStream(jobId, { type: 'complete', cancelled: true, total: job.total });
+    await maybeSendReport(jobId);
+  }
+
+  res.json({ jobId, status: job.status, ...(action === 'cancel' && { retriesCancelled }) });
+});
+
+// ─── GET /api/jobs — recent campaigns, newest first ──────────────────────────
+app.get('/api/jobs', (req, res) => {
+  const list = [...jobs].map(([jobId, j]) => ({
+    jobId, mode: j.mode, status: j.status, total: j.total, createdAt: j.createdAt, launchedBy: j.launchedBy, scheduleId: j.scheduleId, testMode: !!j.testMode,
+    profile: j.profileId ? j.profile?.name : null, variants: j.variants?.length || 0,
+    contacted: j.results.filter(r => r.callId || r.status === 'sent').length,
+  })).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  res.json({ jobs: list.slice(0, parseInt(req.query.limit) || 50) });
+});
+
 // ─── GET /api/job/:jobId ──────────────────────────────────────────────────────
 app.get('/api/job/:jobId', (req, res) => {
   const job = jobs.get(req.params.jobId);
@@ -569,72 +2120,626 @@ app.get('/api/job/:jobId', (req, res) => {
   res.json(job);
 });
 
+// Leads that were never dialed on purpose, with the reason shown in results
+const SKIPPED = { suppressed: 'Do-Not-Call list', skipped: 'Contacted recently', cancelled: 'Job cancelled' };
+
 // ─── GET /api/results/:jobId ──────────────────────────────────────────────────
 app.get('/api/results/:jobId', async (req, res) => {
   const job = jobs.get(req.params.jobId);
   if (!job) return res.status(404).json({ error: 'Job not found' });
 
+  const { voice }  = providersFor(job);
   const initiated = job.results.filter(r => r.callId);
   const settled   = await Promise.allSettled(initiated.map(async r => {
-    if (r.outcome) return { name: r.name, phone: r.phone, callId: r.callId, callStatus: 'ended', endedReason: r.endedReason || '—', duration: r.duration || '—', summary: r.summary || '', outcome: r.outcome };
-    const { data: c } = await axios.get(`https://api.vapi.ai/call/${r.callId}`, { headers: { Authorization: `Bearer ${process.env.VAPI_API_KEY}` } });
-    return { name: r.name, phone: r.phone, callId: r.callId, callStatus: c.status, endedReason: c.endedReason || '—', duration: c.startedAt && c.endedAt ? Math.round((new Date(c.endedAt)-new Date(c.startedAt))/1000)+'s' : '—', summary: c.analysis?.summary || '', outcome: classifyOutcome(c) };
+    const attempts = r.attempts || [];
+    if (r.outcome) return { name: r.name, phone: r.phone, callId: r.callId, callStatus: 'ended', endedReason: r.endedReason || '—', duration: r.duration || '—', summary: r.summary || '', outcome: r.outcome, structured: r.structured || null, attempts, research: r.research || '' };
+    const c = await voice.getCall(r.callId);
+    if (c.status === 'ended' && !transcripts.has(r.callId)) archiveCall(c, callIndex.get(r.callId), { outcome: classifyOutcome(c, OUTCOME_RULES), summary: c.analysis?.summary || '' });
+    return { name: r.name, phone: r.phone, callId: r.callId, callStatus: c.status, endedReason: c.endedReason || '—', duration: c.startedAt && c.endedAt ? Math.round((new Date(c.endedAt)-new Date(c.startedAt))/1000)+'s' : '—', summary: c.analysis?.summary || '', outcome: classifyOutcome(c, OUTCOME_RULES), structured: structuredDataOf(c), attempts, research: r.research || '' };
   }));
 
-  const errorRows = job.results.filter(r => !r.callId).map(r => ({ name: r.name, phone: r.phone, callId: null, callStatus: 'error', endedReason: r.error || 'Failed', duration: '—', summary: '', outcome: 'error' }));
+  const errorRows = job.results.filter(r => !r.callId).map(r => SKIPPED[r.status]
+    ? { name: r.name, phone: r.phone, callId: null, callStatus: r.status, endedReason: SKIPPED[r.status], duration: '—', summary: '', outcome: r.status }
+    : { name: r.name, phone: r.phone, callId: null, callStatus: 'error', endedReason: r.error || 'Failed', duration: '—', summary: '', outcome: 'error' });
   const results   = [ ...settled.map((s,i) => s.status==='fulfilled' ? s.value : { ...initiated[i], outcome:'unknown', summary:'Could not fetch', endedReason: s.reason?.message }), ...errorRows ];
+  const sources   = [...initiated, ...job.results.filter(r => !r.callId)];
+  results.forEach((r, i) => {
+    const t = r.callId && transcripts.get(r.callId);
+    if (t) Object.assign(r, { hasTranscript: !!t.transcript, recordingUrl: t.recordingUrl });
+    if (sources[i].variant) r.variant = sources[i].variant;
+  });
+  const variants  = variantReport(job, sources.map((r, i) => ({ ...r, outcome: results[i].outcome })));
 
   // Fire hot lead SMS for any missed (local mode)
   for (const r of results) {
     if (r.outcome === 'hot' && r.callId && !smsSent.has(r.callId) && r.summary) {
       smsSent.add(r.callId);
       const info = callIndex.get(r.callId);
-      await sendHotLeadSMS(info?.lead || { name: r.name, phone: r.phone }, r.summary, r.duration);
+      await sendHotLeadSMS(info?.lead || { name: r.name, phone: r.phone }, r.summary, r.duration, r.structured, req.params.jobId);
     }
   }
 
   // Send email report
-  await sendEmailReport(results, job.total);
+  if (!job.testMode) await sendEmailReport(results, job.total, profileOf(req.params.jobId), variants);
 
-  res.json({ results, fetchedAt: new Date().toISOString() });
+  res.json({ results, variants, fetchedAt: new Date().toISOString() });
 });
 
 // ─── GET /api/results/:jobId/csv ──────────────────────────────────────────────
+// Only the structured-data fields the CSV has columns for, so a stray key from
+// the call analysis (name, phone…) can't overwrite the lead's own
+const STRUCTURED_COLUMNS = ['intent', 'timeline', 'motivation', 'appointmentTime', 'askingPrice'];
+const structuredColumns  = data => Object.fromEntries(STRUCTURED_COLUMNS.map(k => [k, data?.[k] ?? '']));
+
 app.get('/api/results/:jobId/csv', async (req, res) => {
   try {
     const job = jobs.get(req.params.jobId);
     if (!job) return res.status(404).send('Job not found');
+    const { voice }  = providersFor(job);
     const initiated = job.results.filter(r => r.callId);
     const settled   = await Promise.allSettled(initiated.map(async r => {
-      if (r.outcome) return { name: r.name, phone: r.phone, outcome: r.outcome, duration: r.duration||'', endedReason: r.endedReason||'', summary: r.summary||'' };
-      const { data: c } = await axios.get(`https://api.vapi.ai/call/${r.callId}`, { headers: { Authorization: `Bearer ${process.env.VAPI_API_KEY}` } });
-      return { name: r.name, phone: r.phone, outcome: classifyOutcome(c), duration: c.startedAt&&c.endedAt ? Math.round((new Date(c.endedAt)-new Date(c.startedAt))/1000)+'s' : '', endedReason: c.endedReason||'', summary: (c.analysis?.summary||'').replace(/\n/g,' ') };
+      const history = { attempts: (r.attempts || []).length || 1, attemptHistory: attemptSummary(r), research: r.research || '', recordingUrl: transcripts.get(r.callId)?.recordingUrl || '', variant: r.variant || '' };
+      if (r.outcome) return { name: r.name, phone: r.phone, outcome: r.outcome, duration: r.duration||'', endedReason: r.endedReason||'', summary: r.summary||'', ...structuredColumns(r.structured), ...history };
+      const c = await voice.getCall(r.callId);
+      return { name: r.name, phone: r.phone, outcome: classifyOutcome(c, OUTCOME_RULES), duration: c.startedAt&&c.endedAt ? Math.round((new Date(c.endedAt)-new Date(c.startedAt))/1000)+'s' : '', endedReason: c.endedReason||'', summary: (c.analysis?.summary||'').replace(/\n/g,' '), ...structuredColumns(structuredDataOf(c)), ...history };
     }));
-    const errorRows = job.results.filter(r => !r.callId).map(r => ({ name: r.name, phone: r.phone, outcome: 'error', duration: '', endedReason: r.error||'', summary: '' }));
+    const errorRows = job.results.filter(r => !r.callId).map(r => SKIPPED[r.status]
+      ? { name: r.name, phone: r.phone, outcome: r.status, duration: '', endedReason: SKIPPED[r.status], summary: '', variant: r.variant || '' }
+      : { name: r.name, phone: r.phone, outcome: 'error', duration: '', endedReason: r.error||'', summary: '', variant: r.variant || '' });
     const rows = [ ...settled.map(s => s.status==='fulfilled' ? s.value : { name:'', phone:'', outcome:'unknown', duration:'', endedReason: s.reason?.message||'', summary:'' }), ...errorRows ];
-    const csv = ['Name,Phone,Outcome,Duration,Ended Reason,Summary', ...rows.map(r => ['name','phone','outcome','duration','endedReason','summary'].map(k=>`"${String(r[k]||'').replace(/"/g,"'")}"`).join(','))].join('\n');
+    const cell = v => `"${String(v ?? '').replace(/"/g,"'")}"`;
+    const csv  = ['Name,Phone,Outcome,Duration,Ended Reason,Summary,Intent,Timeline,Motivation,Appointment,Asking Price,Attempts,Attempt History,Research,Recording,Variant', ...rows.map(r => ['name','phone','outcome','duration','endedReason','summary','intent','timeline','motivation','appointmentTime','askingPrice','attempts','attemptHistory','research','recordingUrl','variant'].map(k=>cell(r[k]||'')).join(','))];
+    // A/B split: the per-variant comparison under the leads, after a blank line
+    const sources  = [...initiated, ...job.results.filter(r => !r.callId)];
+    const variants = variantReport(job, sources.map((r, i) => ({ ...r, outcome: rows[i]?.outcome })));
+    if (variants) csv.push('', 'Variant,Name,Leads,Reached,Hot,Hot Rate %,Warm,Warm Rate %,Replied,Reply Rate %,Vs Baseline,P Value',
+      ...variants.variants.map(v => [v.id, v.name, v.leads, v.reached, v.hot, v.hotRate, v.warm, v.warmRate, v.replied, v.replyRate, v.vsBaseline?.verdict || 'baseline', v.vsBaseline?.p].map(cell).join(',')));
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="call-results-${req.params.jobId.slice(0,8)}.csv"`);
-    res.send(csv);
+    res.send(csv.join('\n'));
   } catch (e) { res.status(500).send('Error: ' + e.message); }
 });
 
+// ─── Call transcripts and search ──────────────────────────────────────────────
+app.get('/api/calls/:callId/transcript', (req, res) => {
+  const t = transcripts.get(req.params.callId);
+  if (!t) return res.status(404).json({ error: 'No transcript for that call' });
+  res.json(t);
+});
+
+// ?q= (syntax in lib/transcripts.js), ?speaker=lead|sarah, ?jobId=, ?limit=
+// — newest calls first, each with the lines that matched
+app.get('/api/transcripts/search', (req, res) => {
+  const groups = parseQuery(req.query.q);
+  if (!groups.length) return res.status(400).json({ error: 'Enter a word or phrase to search for' });
+  const speaker = ['lead', 'sarah'].includes(req.query.speaker) ? req.query.speaker : null;
+  const limit   = Math.min(200, parseInt(req.query.limit) || 50);
+
+  const hits = [];
+  for (const t of transcripts.values()) {
+    if (req.query.jobId && t.jobId !== req.query.jobId) continue;
+    const match = searchCall(t, groups, { speaker });
+    if (!match) continue;
+    const { transcript, messages, ...call } = t;
+    hits.push({ ...call, mode: jobs.get(t.jobId)?.mode || null, ...match });
+  }
+  hits.sort((a, b) => b.endedAt.localeCompare(a.endedAt));
+  res.json({ results: hits.slice(0, limit), total: hits.length, query: groups });
+});
+
+// ─── GET /api/appointments ────────────────────────────────────────────────────
+// ?jobId= narrows to one campaign; ?upcoming=1 drops appointments already past
+app.get('/api/appointments', (req, res) => {
+  const now  = new Date().toISOString();
+  const list = [...appointments.values()]
+    .filter(a => !req.query.jobId || a.jobId === req.query.jobId)
+    .filter(a => !req.query.upcoming || a.startsAt >= now)
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt))
+    .map(a => ({ ...a, when: formatWhen(a.startsAt, a.timeZone) }));
+  res.json({ appointments: list, total: list.length });
+});
+
+app.get('/api/appointments/:id/ics', (req, res) => {
+  const appt = appointments.get(req.params.id);
+  if (!appt) return res.status(404).json({ error: 'Appointment not found' });
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="appointment-${appt.id.slice(0, 8)}.ics"`);
+  res.send(appointmentInvite(appt));
+});
+
+// ─── GET /api/leads — every number across campaigns ──────────────────────────
+// ?q= matches name, phone, street or city; ?status= (hot, appointment,
+// do-not-call, contacted, new…); ?contactedWithinDays=; ?limit=&offset=.
+// Most recently contacted first.
+app.get('/api/leads', (req, res) => {
+  const q      = String(req.query.q || '').toLowerCase().trim();
+  const digits = q.replace(/\D/g, '');
+  const days   = parseFloat(req.query.contactedWithinDays);
+  const since  = days > 0 ? new Date(Date.now() - days * DAY_MS).toISOString() : null;
+  const limit  = Math.min(500, parseInt(req.query.limit) || 50);
+  const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+  const list = [...leadRecords.values()].map(leadSummary)
+    .filter(l => !q || [l.name, l.streetName, l.city].some(v => (v || '').toLowerCase().includes(q)) || (digits.length >= 3 && l.phone.includes(digits)))
+    .filter(l => !req.query.status || l.status === req.query.status)
+    .filter(l => !since || (l.lastContactAt || '') >= since)
+    .sort((a, b) => (b.lastContactAt || b.firstSeenAt).localeCompare(a.lastContactAt || a.firstSeenAt));
+  res.json({ leads: list.slice(offset, offset + limit), total: list.length });
+});
+
+app.get('/api/leads/:phone', (req, res) => {
+  const rec = leadRecords.get(formatPhone(req.params.phone));
+  if (!rec) return res.status(404).json({ error: 'Lead not found' });
+  const campaigns = rec.jobs.map(link => {
+    const job = jobs.get(link.jobId);
+    const r   = leadResult(job, rec.phone);
+    return {
+      ...link, status: job?.status || 'deleted', createdAt: job?.createdAt || null, launchedBy: job?.launchedBy || null, testMode: !!job?.testMode,
+      result: r && { status: r.status, outcome: r.outcome || null, summary: r.summary || '', structured: r.structured || null, attempts: (r.attempts || []).length, research: r.research || '', lastReply: r.lastReply || null },
+    };
+  }).sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  res.json({
+    lead:      leadSummary(rec),
+    jobs:      campaigns,
+    timeline:  leadTimeline(rec),
+    suppressed: suppressed.get(rec.phone) || null,
+    handoff:   handoffs.get(rec.phone) || null,
+  });
+});
+
+// ─── GET /api/analytics — connect, conversion and reply rates ───────────────
+// ?from=&to= (YYYY-MM-DD, inclusive) pick campaigns by launch date; ?jobId=
+// (comma-separated for several), ?scheduleId= and ?mode=call|sms narrow
+// further. Test-mode campaigns only count with ?includeTest=1. Shape in
+// lib/analytics.js; ?download=1 saves the JSON, /api/analytics/csv a spreadsheet.
+function analyticsReport(query) {
+  const timeZone = process.env.DEFAULT_TIMEZONE || 'America/Los_Angeles';
+  const dayStart = (date, add = 0) => {
+    const m = String(date).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return m && parseLocalDateTime(`${new Date(Date.UTC(+m[1], m[2] - 1, +m[3] + add)).toISOString().slice(0, 10)}T00:00`, timeZone);
+  };
+  const from = query.from ? dayStart(query.from) : null;
+  const to   = query.to ? dayStart(query.to, 1) : null;
+  if ((query.from && !from) || (query.to && !to)) return { error: 'Dates must look like 2025-01-31' };
+
+  const ids    = query.jobId ? String(query.jobId).split(',').map(s => s.trim()).filter(Boolean) : null;
+  const picked = [...jobs].filter(([jobId, j]) =>
+    (!ids || ids.includes(jobId)) &&
+    (!query.scheduleId || j.scheduleId === query.scheduleId) &&
+    (!query.mode || j.mode === query.mode) &&
+    (query.includeTest === '1' || !j.testMode) &&
+    (!from || new Date(j.createdAt) >= from) &&
+    (!to || new Date(j.createdAt) < to));
+
+  const report = analyze(picked, [...appointments.values()], { timeZone });
+  for (const c of report.campaigns) c.scheduleName = (c.scheduleId && schedules.get(c.scheduleId)?.name) || null;
+  return {
+    filters: { from: query.from || null, to: query.to || null, jobId: ids, scheduleId: query.scheduleId || null, mode: query.mode || null, includeTest: query.includeTest === '1', timeZone },
+    ...report,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+app.get('/api/analytics', (req, res) => {
+  const report = analyticsReport(req.query);
+  if (report.error) return res.status(400).json(report);
+  if (req.query.download) res.setHeader('Content-Disposition', `attachment; filename="analytics-${report.generatedAt.slice(0, 10)}.json"`);
+  res.json(report);
+});
+
+app.get('/api/analytics/csv', (req, res) => {
+  const report = analyticsReport(req.query);
+  if (report.error) return res.status(400).json(report);
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="analytics-${report.generatedAt.slice(0, 10)}.csv"`);
+  res.send(analyticsCSV(report));
+});
+
+// ─── Campaign schedules (list is read-only for agents) ───────────────────────
+const SCHEDULE_OPTIONS = ['useProbe', 'messageTemplate', 'probeTemplate', 'contactWindow', 'maxConcurrent', 'retryPolicy', 'autoReply', 'research', 'testMode', 'skipContactedDays', 'profileId', 'variants'];
+
+app.get('/api/schedules', (req, res) => {
+  const list = [...schedules.keys()].map(scheduleView)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  res.json({ schedules: list });
+});
+
+app.get('/api/schedules/:id', (req, res) => {
+  if (!schedules.has(req.params.id)) return res.status(404).json({ error: 'Schedule not found' });
+  res.json(scheduleView(req.params.id));
+});
+
+app.post('/api/schedules', adminOnly, (req, res) => {
+  const { rows, mapping, limit, mode = 'call' } = req.body;
+  if (!rows?.length || !mapping) return res.status(400).json({ error: 'Missing rows or mapping.' });
+  const problem = templateProblem(req.body);
+  if (problem) return res.status(400).json({ error: problem });
+  const { leads, report } = prepareLeads(rows, mapping, limit);
+  if (!leads.length) return res.status(400).json({ error: noLeadsError(rows, mapping, report), validation: validationSummary(report, leads) });
+
+  const id = uuidv4();
+  const s  = {
+    name: '', leads, options: {}, steps: [], stopOn: ['reply', 'hot'], repeat: null,
+    startAt: new Date().toISOString(), status: 'scheduled', nextStep: 0, cycle: 0, nextRunAt: null, runs: [],
+    createdBy: req.user.username, createdAt: new Date().toISOString(),
+  };
+  SCHEDULE_OPTIONS.forEach(k => { if (req.body[k] !== undefined) s.options[k] = req.body[k]; });
+  try {
+    applyScheduleFields(s, { ...req.body, steps: req.body.steps || [{ mode, day: 0 }] });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  s.name = s.name || `${leads.length} leads · ${s.steps.map(st => `${st.mode} day ${st.day}`).join(', ')}`;
+  assignScheduleVariants(s);
+  planNext(s);
+  schedules.set(id, s);
+  console.log(`  🗓 Schedule "${s.name}" created by ${s.createdBy} — first step ${new Date(s.nextRunAt).toISOString()}`);
+  res.json({ ...scheduleView(id), validation: validationSummary(report, leads, req.body.skipContactedDays) });
+});
+
+// Edits apply to steps that haven't run yet; { paused: true|false } holds or releases it
+app.patch('/api/schedules/:id', adminOnly, (req, res) => {
+  const s = schedules.get(req.params.id);
+  if (!s) return res.status(404).json({ error: 'Schedule not found' });
+  if (s.status === 'complete') return res.status(409).json({ error: 'Schedule has already finished.' });
+  const problem = templateProblem(req.body);
+  if (problem) return res.status(400).json({ error: problem });
+
+  const next = JSON.parse(JSON.stringify({ ...s, leads: [] }));
+  SCHEDULE_OPTIONS.forEach(k => { if (req.body[k] !== undefined) next.options[k] = req.body[k]; });
+  try {
+    applyScheduleFields(next, req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (req.body.paused === true) next.status = 'paused';
+  if (req.body.paused === false && next.status === 'paused') next.status = next.runs.length ? 'running' : 'scheduled';
+  planNext(next);
+  Object.assign(s, next, { leads: s.leads, updatedAt: new Date().toISOString(), updatedBy: req.user.username });
+  if (req.body.variants !== undefined) assignScheduleVariants(s);
+  schedules.save(req.params.id);
+  res.json(scheduleView(req.params.id));
+});
+
+// Jobs the schedule already launched keep running — control them from the job
+app.delete('/api/schedules/:id', adminOnly, (req, res) => {
+  const s = schedules.get(req.params.id);
+  if (!s) return res.status(404).json({ error: 'Schedule not found' });
+  schedules.delete(req.params.id);
+  console.log(`  🗓 Schedule "${s.name}" deleted by ${req.user.username}`);
+  res.json({ deleted: true, launchedJobs: s.runs.map(r => r.jobId).filter(Boolean) });
+});
+
+// ─── Do-Not-Call list routes ─────────────────────────────────────────────────
+app.get('/api/suppression', (req, res) => {
+  const list = [...suppressed].map(([phone, s]) => ({ phone, ...s }))
+    .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+  res.json({ suppressed: list, total: list.length });
+});
+
+app.post('/api/suppression', adminOnly, (req, res) => {
+  const phone = formatPhone(req.body?.phone || '');
+  if (phone.length !== 12) return res.status(400).json({ error: 'A valid phone number is required.' });
+  const added = suppress(phone, req.body.reason, 'manual');
+  res.json({ phone, added });
+});
+
+app.delete('/api/suppression/:phone', adminOnly, (req, res) => {
+  const phone = formatPhone(req.params.phone);
+  if (!suppressed.delete(phone)) return res.status(404).json({ error: 'Number is not on the Do-Not-Call list' });
+  console.log(`  ✓ Removed ${phone} from the Do-Not-Call list`);
+  res.json({ phone, removed: true });
+});
+
+// Accepts a CSV file upload (field "csv") or raw CSV text in the JSON body —
+// every phone-number-like value in any column is suppressed.
+app.post('/api/suppression/import', adminOnly, upload.single('csv'), (req, res) => {
+  const text = req.file ? req.file.buffer.toString('utf8') : String(req.body?.csv || '');
+  if (!text.trim()) return res.status(400).json({ error: 'No CSV uploaded' });
+
+  const phoneRegex = /(\+?1?\s?[\-.]?)?\(?\d{3}\)?[\s.\-]?\d{3}[\s.\-]?\d{4}/g;
+  const phones = [...new Set((text.match(phoneRegex) || []).map(formatPhone).filter(p => p.length === 12))];
+  const reason = req.body?.reason || 'CSV import';
+  const added  = phones.filter(p => suppress(p, reason, 'import')).length;
+
+  res.json({ found: phones.length, added, alreadySuppressed: phones.length - added });
+});
+
+// ─── Auth routes ──────────────────────────────────────────────────────────────
+app.get('/api/auth/status', (req, res) => {
+  res.json({ setupRequired: users.size === 0, user: req.user || null });
+});
+
+// Only works while no accounts exist — creates the first admin and logs in
+app.post('/api/auth/setup', (req, res) => {
+  if (users.size) return res.status(409).json({ error: 'Setup is already complete' });
+  try {
+    const user = createUser(req.body?.username, req.body?.password, 'admin');
+    startSession(res, user.username);
+    console.log(`  ✓ Created admin account "${user.username}"`);
+    res.json(user);
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const username = String(req.body?.username || '').trim().toLowerCase();
+  const user     = users.get(username);
+  if (!verifyPassword(req.body?.password || '', user)) {
+    console.log(`  🔒 Failed login for "${username}" from ${req.ip}`);
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+  startSession(res, username);
+  res.json({ username, role: user.role });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const sid = parseCookies(req.headers.cookie).sid;
+  if (sid) sessions.delete(hashToken(sid));
+  res.setHeader('Set-Cookie', 'sid=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0');
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', (req, res) => res.json(req.user));
+
+// ─── Users (admin) ────────────────────────────────────────────────────────────
+app.get('/api/users', adminOnly, (req, res) => {
+  res.json({ users: [...users.values()].map(({ username, role, createdAt }) => ({ username, role, createdAt })) });
+});
+
+app.post('/api/users', adminOnly, (req, res) => {
+  try {
+    const user = createUser(req.body?.username, req.body?.password, req.body?.role || 'agent');
+    console.log(`  ✓ ${req.user.username} added ${user.role} "${user.username}"`);
+    res.json(user);
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.delete('/api/users/:username', adminOnly, (req, res) => {
+  const username = req.params.username.toLowerCase();
+  if (username === req.user.username) return res.status(400).json({ error: "You can't remove your own account" });
+  if (!users.delete(username)) return res.status(404).json({ error: 'User not found' });
+  for (const [key, s] of sessions) if (s.username === username) sessions.delete(key);
+  res.json({ username, removed: true });
+});
+
+// ─── API tokens (admin) ───────────────────────────────────────────────────────
+// The token itself is only returned once, on creation
+app.get('/api/tokens', adminOnly, (req, res) => {
+  res.json({ tokens: [...apiTokens.values()] });
+});
+
+app.post('/api/tokens', adminOnly, (req, res) => {
+  const name = String(req.body?.name || '').trim();
+  const role = req.body?.role || 'agent';
+  if (!name) return res.status(400).json({ error: 'Give the token a name' });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  const token = newToken('sk_');
+  const entry = { id: uuidv4(), name, role, createdBy: req.user.username, createdAt: new Date().toISOString(), lastUsedAt: null };
+  apiTokens.set(hashToken(token), entry);
+  res.json({ ...entry, token });
+});
+
+app.delete('/api/tokens/:id', adminOnly, (req, res) => {
+  const key = [...apiTokens].find(([, t]) => t.id === req.params.id)?.[0];
+  if (!key) return res.status(404).json({ error: 'Token not found' });
+  apiTokens.delete(key);
+  res.json({ id: req.params.id, revoked: true });
+});
+
+// ─── Brand profiles (admin) ───────────────────────────────────────────────────
+// `default` is the environment's profile, which jobs without one run as
+app.get('/api/profiles', (req, res) => {
+  res.json({ profiles: [...profiles.values()].sort((a, b) => a.name.localeCompare(b.name)), default: profileById(null) });
+});
+
+app.post('/api/profiles', adminOnly, (req, res) => {
+  try {
+    const profile = { id: uuidv4(), ...cleanProfile(req.body || {}), createdBy: req.user.username, createdAt: new Date().toISOString() };
+    profiles.set(profile.id, profile);
+    registerWebhook(profile.assistantId);
+    console.log(`  ✓ ${req.user.username} added brand profile "${profile.name}"`);
+    res.json(profile);
+  } catch (e) {
+    if (e instanceof ProfileError) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+});
+
+// Jobs already launched keep the copy they were launched with
+app.patch('/api/profiles/:id', adminOnly, (req, res) => {
+  const profile = profiles.get(req.params.id);
+  if (!profile) return res.status(404).json({ error: 'Profile not found' });
+  try {
+    const fields = cleanProfile(req.body || {}, profile);
+    if (fields.assistantId && fields.assistantId !== profile.assistantId) registerWebhook(fields.assistantId);
+    Object.assign(profile, fields, { updatedBy: req.user.username, updatedAt: new Date().toISOString() });
+    profiles.save(profile.id);
+    res.json(profile);
+  } catch (e) {
+    if (e instanceof ProfileError) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+});
+
+app.delete('/api/profiles/:id', adminOnly, (req, res) => {
+  if (!profiles.has(req.params.id)) return res.status(404).json({ error: 'Profile not found' });
+  const inUse = [...schedules.values()].find(s => s.options?.profileId === req.params.id && s.status !== 'complete');
+  if (inUse) return res.status(409).json({ error: `Schedule "${inUse.name}" uses this profile.` });
+  profiles.delete(req.params.id);
+  res.json({ id: req.params.id, removed: true });
+});
+
+// ─── Outbound webhook subscriptions (admin) ───────────────────────────────────
+// The signing secret is only returned on creation and when rotated
+const hookView = ({ secret, ...hook }) => hook;
+
+function hookFields(body, current = {}) {
+  const out = {};
+  if (body.url !== undefined || !current.url) {
+    let url;
+    try { url = new URL(String(body.url || '')); } catch (_) { throw new Error('A valid webhook URL is required'); }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('The webhook URL must start with http:// or https://');
+    out.url = url.toString();
+  }
+  if (body.events !== undefined || !current.events) {
+    const events = [...new Set([].concat(body.events ?? HOOK_EVENTS))];
+    const bad    = events.find(e => !HOOK_EVENTS.includes(e));
+    if (bad || !events.length) throw new Error(`Events must be some of: ${HOOK_EVENTS.join(', ')}`);
+    out.events = events;
+  }
+  if (body.name !== undefined)        out.name        = String(body.name).trim();
+  if (body.enabled !== undefined)     out.enabled     = !!body.enabled;
+  if (body.includeTest !== undefined) out.includeTest = !!body.includeTest;
+  return out;
+}
+
+app.get('/api/hooks', adminOnly, (req, res) => {
+  res.json({ hooks: [...hooks.values()].map(hookView), events: HOOK_EVENTS });
+});
+
+app.post('/api/hooks', adminOnly, (req, res) => {
+  try {
+    const hook = {
+      id: uuidv4(), name: '', enabled: true, includeTest: false, ...hookFields(req.body || {}),
+      secret: newToken('whsec_'), createdBy: req.user.username, createdAt: new Date().toISOString(), lastStatus: null, lastDeliveryAt: null,
+    };
+    hooks.set(hook.id, hook);
+    console.log(`  ✓ ${req.user.username} added webhook ${hook.url} (${hook.events.join(', ')})`);
+    res.json(hook);
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.patch('/api/hooks/:id', adminOnly, (req, res) => {
+  const hook = hooks.get(req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+  try {
+    Object.assign(hook, hookFields(req.body || {}, hook));
+    if (req.body?.rotateSecret) hook.secret = newToken('whsec_');
+    hooks.save(hook.id);
+    res.json(req.body?.rotateSecret ? hook : hookView(hook));
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.delete('/api/hooks/:id', adminOnly, (req, res) => {
+  if (!hooks.delete(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+  for (const d of hookDeliveries.values()) {
+    if (d.hookId !== req.params.id || d.status !== 'pending') continue;
+    clearTimeout(hookTimers.get(d.id));
+    hookTimers.delete(d.id);
+    Object.assign(d, { status: 'failed', nextAttemptAt: null, error: 'Subscription deleted' });
+    hookDeliveries.save(d.id);
+  }
+  res.json({ id: req.params.id, removed: true });
+});
+
+// Sends a "ping" straight away, whatever events the hook subscribes to
+app.post('/api/hooks/:id/test', adminOnly, (req, res) => {
+  const hook = hooks.get(req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+  const delivery = queueDelivery(hook, 'ping', { message: 'Test delivery from Sarah AI Caller', sentBy: req.user.username });
+  res.json({ deliveryId: delivery.id });
+});
+
+// ?hookId=&event=&status=pending|delivered|failed&limit= — newest first,
+// payloads left out (GET /api/hooks/deliveries/:id has them)
+app.get('/api/hooks/deliveries', adminOnly, (req, res) => {
+  const { hookId, event, status } = req.query;
+  const limit = Math.min(500, parseInt(req.query.limit) || 50);
+  const list  = [...hookDeliveries.values()]
+    .filter(d => (!hookId || d.hookId === hookId) && (!event || d.event === event) && (!status || d.status === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json({ deliveries: list.slice(0, limit).map(({ data, ...d }) => d), total: list.length });
+});
+
+app.get('/api/hooks/deliveries/:id', adminOnly, (req, res) => {
+  const delivery = hookDeliveries.get(req.params.id);
+  if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+  res.json(delivery);
+});
+
+// Queues a fresh delivery of the same event and payload
+app.post('/api/hooks/deliveries/:id/redeliver', adminOnly, (req, res) => {
+  const original = hookDeliveries.get(req.params.id);
+  const hook     = original && hooks.get(original.hookId);
+  if (!hook) return res.status(404).json({ error: original ? 'Webhook not found' : 'Delivery not found' });
+  const delivery = queueDelivery(hook, original.event, original.data);
+  res.json({ deliveryId: delivery.id, redeliveryOf: original.id });
+});
+
+// ─── GET /api/webhook/stats ───────────────────────────────────────────────────
+app.get('/api/webhook/stats', adminOnly, (req, res) => {
+  res.json({
+    auth: WEBHOOK_AUTH,
+    vapi: webhookStats.get('vapi') || { accepted: 0, rejected: 0 },
+    sms:  webhookStats.get('sms')  || { accepted: 0, rejected: 0 },
+  });
+});
+
 // ─── Auto-register webhook on startup ────────────────────────────────────────
-async function setupWebhook() {
+// For the environment's assistant and every profile's; a profile saved with a
+// new assistant registers it then.
+async function registerWebhook(assistantId) {
   const serverUrl = process.env.SERVER_URL;
-  if (!serverUrl) return;
+  if (!serverUrl || !assistantId || !process.env.VAPI_API_KEY) return;
+  const secret = process.env.VAPI_WEBHOOK_SECRET;
   try {
-    await axios.patch(`https://api.vapi.ai/assistant/${process.env.VAPI_ASSISTANT_ID}`, {
-      server: { url: `${serverUrl}/api/webhook/vapi` }
+    await axios.patch(`https://api.vapi.ai/assistant/${assistantId}`, {
+      server: { url: `${serverUrl}/api/webhook/vapi`, ...(secret && { secret }) }
     }, { headers: { Authorization: `Bearer ${process.env.VAPI_API_KEY}` } });
-    console.log(`  Webhook: ${serverUrl}/api/webhook/vapi`);
-  } catch (e) { console.log(`  Webhook setup failed: ${e.message}`); }
+    console.log(`  Webhook: ${serverUrl}/api/webhook/vapi (assistant ${assistantId.slice(0, 8)})`);
+  } catch (e) { console.log(`  Webhook setup failed for assistant ${assistantId.slice(0, 8)}: ${e.message}`); }
+}
+
+async function setupWebhook() {
+  const ids = new Set([process.env.VAPI_ASSISTANT_ID, ...[...profiles.values()].map(p => p.assistantId)].filter(Boolean));
+  for (const id of ids) await registerWebhook(id);
 }
 
+// ─── Resume unfinished work after a restart ──────────────────────────────────
+function resumeWork() {
+  // Calls dialed shortly before the restart may still be live — keep their slots
+  for (const [callId, info] of callIndex) {
+    if (info.dialedAt && !info.endedAt && Date.now() - info.dialedAt < CALL_MAX_MS) liveCalls.set(callId, { jobId: info.jobId, dialedAt: info.dialedAt });
+  }
+  setInterval(reapLiveCalls, 15000).unref();
+
+  for (const retryId of retryQueue.keys()) armRetry(retryId);
+  if (retryQueue.size) console.log(`  ↻ Re-armed ${retryQueue.size} pending retries`);
+  for (const d of hookDeliveries.values()) armDelivery(d.id);
+  if (!leadRecords.size && jobs.size) backfillLeads();
+
+  for (const [jobId, job] of jobs) {
+    if (!['pending', 'running', 'waiting', 'paused'].includes(job.status) || !job.leads) continue;
+    // A lead caught mid-dial may already have been contacted — never risk a second call/text
+    job.results.forEach(r => {
+      if (r.status === 'calling' || r.status === 'sending') Object.assign(r, { status: 'error', error: 'Interrupted by server restart', outcome: 'error' });
+    });
+    jobs.save(jobId);
+    const left = job.results.filter(r => r.status === 'pending').length;
+    console.log(`  ↻ Resuming ${job.mode} job ${jobId.slice(0, 8)} — ${left} leads left`);
+    if (job.mode === 'sms') processSMSJob(jobId, job.leads);
+    else processJob(jobId, job.leads, job.useProbe); // leads already probed are only re-checked
+  }
+
+  // After the jobs above so a step never starts before the one it follows resumes
+  setInterval(tickSchedules, 30000).unref();
+  tickSchedules();
+}
+
+['SIGINT', 'SIGTERM'].forEach(sig => process.on(sig, () => {
+  store.close();
+  process.exit(0);
+}));
+
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, async () => {
   console.log(`\n  Sarah AI Caller — Rad Realty`);
   console.log(`  Running at: http://localhost:${PORT}`);
+  console.log(`  Storage:    ${store.driver}`);
+  if (!WEBHOOK_AUTH) console.log(`  ⚠ Webhook auth is OFF (WEBHOOK_AUTH=off) — anyone can post to /api/webhook/*`);
+  else if (!process.env.VAPI_WEBHOOK_SECRET) console.log(`  ⚠ VAPI_WEBHOOK_SECRET is not set — VAPI webhooks will be rejected`);
+  bootstrapAdmin();
+  resumeWork();
   await setupWebhook();
   console.log();
 });